@@ -1,21 +1,44 @@
 // logger.js
 import winston from "winston";
+import DailyRotateFile from "winston-daily-rotate-file";
 
-// Create a custom logger
-const logger = winston.createLogger({
-  level: "info", // Log all levels of info and above
-  format: winston.format.combine(
-    winston.format.colorize(), // Colorize the logs in the console
-    winston.format.timestamp(),
-    winston.format.printf(
-      ({ timestamp, level, message }) => `[${timestamp}] ${level}: ${message}`
-    )
-  ),
-  transports: [
-    new winston.transports.Console(), // Logs to the console
-    // You can also add file logging here if needed
-    // new winston.transports.File({ filename: 'combined.log' }),
-  ],
-});
+// LOG_LEVEL picks the lowest level written (error, warn, info, http, verbose, debug)
+const level = process.env.LOG_LEVEL || "info";
+
+// One JSON object per line, e.g.
+//   {"level":"info","message":"Request completed","requestId":"...","status":200,"timestamp":"..."}
+// Errors passed as metadata keep their stack.
+const format = winston.format.combine(
+  winston.format.errors({ stack: true }),
+  winston.format.timestamp(),
+  winston.format.json()
+);
+
+const transports = [new winston.transports.Console()];
+
+// With LOG_DIR set, logs are also written to files there that rotate daily (or
+// at 20 MB), are gzipped once rotated and are deleted after LOG_MAX_FILES (14d).
+// error-*.log holds only the errors, to find them without the request noise.
+if (process.env.LOG_DIR) {
+  const rotation = {
+    dirname: process.env.LOG_DIR,
+    datePattern: "YYYY-MM-DD",
+    maxSize: "20m",
+    maxFiles: process.env.LOG_MAX_FILES || "14d",
+    zippedArchive: true,
+  };
+  transports.push(
+    new DailyRotateFile({ ...rotation, filename: "combined-%DATE%.log" }),
+    new DailyRotateFile({
+      ...rotation,
+      filename: "error-%DATE%.log",
+      level: "error",
+    })
+  );
+}
+
+// Create a custom logger. Requests log through req.log, a child of it that adds
+// the request id (and the user id once logged in) to every line.
+const logger = winston.createLogger({ level, format, transports });
 
 export default logger;
@@ -0,0 +1,118 @@
+// sentry.js
+import * as Sentry from "@sentry/node";
+
+// Error tracking and performance tracing with Sentry. Everything here is a no-op
+// unless SENTRY_DSN is set, and always in tests, so they don't report anything.
+export const sentryEnabled = () =>
+  Boolean(process.env.SENTRY_DSN) && process.env.NODE_ENV !== "test";
+
+// Keys whose values never leave the server, in request bodies, headers and query strings
+const SENSITIVE_KEY =
+  /pass(word)?|token|secret|authorization|cookie|api[-_]?key|email|phone/i;
+
+// Replace the values of sensitive keys, at any depth
+const scrub = (value) => {
+  if (Array.isArray(value)) return value.map(scrub);
+  if (!value || typeof value !== "object") return value;
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, entry]) => [
+      key,
+      SENSITIVE_KEY.test(key) ? "[Filtered]" : scrub(entry),
+    ])
+  );
+};
+
+// Request bodies arrive as JSON text; one that isn't JSON is left out entirely
+const scrubBody = (data) => {
+  if (typeof data !== "string") return scrub(data);
+  try {
+    return JSON.stringify(scrub(JSON.parse(data)));
+  } catch (err) {
+    return undefined;
+  }
+};
+
+// Same for the parameters of a query string, e.g. ?email=... of GET /users
+const scrubSearchParams = (params) => {
+  for (const key of [...params.keys()]) {
+    if (SENSITIVE_KEY.test(key)) params.set(key, "[Filtered]");
+  }
+  return params;
+};
+
+// Strip personal data from an error or transaction before it is sent: the account
+// is only known by its id, and credentials, contact details and IPs stay here
+export const scrubEvent = (event) => {
+  const { request } = event;
+  if (request) {
+    delete request.cookies;
+    request.headers = scrub(request.headers);
+    request.data = scrubBody(request.data);
+    request.query_string =
+      typeof request.query_string === "string"
+        ? scrubSearchParams(
+            new URLSearchParams(request.query_string)
+          ).toString()
+        : scrub(request.query_string);
+    if (request.url) {
+      const url = new URL(request.url);
+      scrubSearchParams(url.searchParams);
+      request.url = url.toString();
+    }
+  }
+  if (event.user) {
+    event.user = { id: event.user.id };
+  }
+  return event;
+};
+
+// Set Sentry up for the app: SENTRY_DSN enables it, SENTRY_ENVIRONMENT (NODE_ENV
+// by default) and SENTRY_RELEASE label the events, and SENTRY_TRACES_SAMPLE_RATE
+// is the share of requests traced, 0.1 by default. Returns whether Sentry is on,
+// its request handlers are only added then.
+export const initSentry = (app) => {
+  if (!sentryEnabled()) return false;
+
+  Sentry.init({
+    dsn: process.env.SENTRY_DSN,
+    environment: process.env.SENTRY_ENVIRONMENT || process.env.NODE_ENV,
+    release: process.env.SENTRY_RELEASE,
+    tracesSampleRate: Number(process.env.SENTRY_TRACES_SAMPLE_RATE ?? 0.1),
+    sendDefaultPii: false,
+    integrations: [
+      new Sentry.Integrations.Http({ tracing: true }), // Spans for outgoing HTTP calls
+      new Sentry.Integrations.Express({ app }), // Spans for middleware and routes
+    ],
+    beforeSend: scrubEvent,
+    beforeSendTransaction: scrubEvent,
+  });
+  return true;
+};
+
+// Add a span for every query of a Prisma client to the traced request running it.
+// Each router has its own client, so each wraps it:
+//   const prisma = traceQueries(new PrismaClient());
+export const traceQueries = (prisma) => {
+  if (sentryEnabled()) {
+    new Sentry.Integrations.Prisma({ client: prisma }); // Instruments the client it is given
+  }
+  return prisma;
+};
+
+// Tie the errors and trace of the current request to its id and, once verifyToken
+// ran, to the account
+export const setRequestContext = (req) => {
+  if (!sentryEnabled()) return;
+
+  Sentry.setTag("request_id", req.id);
+  if (req.user) {
+    Sentry.setUser({ id: req.user.id });
+    Sentry.setTag("role", req.user.role);
+  }
+};
+
+// Report an unexpected error with the context of its request
+export const reportError = (err) => {
+  if (sentryEnabled()) Sentry.captureException(err);
+};
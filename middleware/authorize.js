@@ -0,0 +1,103 @@
+// authorize.js
+import { PrismaClient } from "@prisma/client";
+import { traceQueries } from "../config/sentry.js";
+import { ROLES } from "../utils/tokens.js";
+import { ForbiddenError } from "../utils/errors.js";
+
+const prisma = traceQueries(new PrismaClient());
+
+export const isAdmin = (user) => user?.role === ROLES.ADMIN;
+
+// Build a middleware that only lets the owners of the resource at req.params.id
+// (or an admin) through. loadOwnerIds resolves the account ids that own the
+// resource, or null when it doesn't exist so the route can answer 404 itself.
+// Use after verifyToken.
+const ownedBy = (loadOwnerIds, message) => async (req, res, next) => {
+  if (isAdmin(req.user)) return next();
+
+  try {
+    const ownerIds = await loadOwnerIds(req.params.id);
+
+    if (ownerIds !== null && !ownerIds.includes(req.user.id)) {
+      return next(new ForbiddenError(message)); // 403 Forbidden
+    }
+
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+};
+
+// Users manage only their own account
+export const canManageUser = ownedBy(
+  async (id) => [id],
+  "You can only manage your own account"
+);
+
+// Hosts manage only their own host profile
+export const canManageHost = ownedBy(
+  async (id) => [id],
+  "You can only manage your own host profile"
+);
+
+// Hosts manage only their own listings
+export const canManageProperty = ownedBy(async (id) => {
+  const property = await prisma.property.findUnique({
+    where: { id },
+    select: { hostId: true },
+  });
+  return property && [property.hostId];
+}, "You can only manage your own listings");
+
+// Guests manage only their own bookings
+export const canManageBooking = ownedBy(async (id) => {
+  const booking = await prisma.booking.findUnique({
+    where: { id },
+    select: { userId: true },
+  });
+  return booking && [booking.userId];
+}, "You can only manage your own bookings");
+
+// The host of the booked property handles the booking request
+export const canHostBooking = ownedBy(async (id) => {
+  const booking = await prisma.booking.findUnique({
+    where: { id },
+    select: { property: { select: { hostId: true } } },
+  });
+  return booking && [booking.property.hostId];
+}, "Only the host of this property can do this");
+
+// Either the guest or the host of the property, e.g. to cancel or see its history
+export const canAccessBooking = ownedBy(async (id) => {
+  const booking = await prisma.booking.findUnique({
+    where: { id },
+    select: { userId: true, property: { select: { hostId: true } } },
+  });
+  return booking && [booking.userId, booking.property.hostId];
+}, "Only the guest or the host of this booking can do this");
+
+// Guests manage only their own reviews
+export const canManageReview = ownedBy(async (id) => {
+  const review = await prisma.review.findUnique({
+    where: { id },
+    select: { userId: true },
+  });
+  return review && [review.userId];
+}, "You can only manage your own reviews");
+
+// Hosts answer only the reviews of their own listings
+export const canReplyToReview = ownedBy(async (id) => {
+  const review = await prisma.review.findUnique({
+    where: { id },
+    select: { property: { select: { hostId: true } } },
+  });
+  return review && [review.property.hostId];
+}, "You can only answer reviews of your own listings");
+
+// Id of the account a new resource is created for. Non-admins act for
+// themselves: the id defaults to their own and any other id is refused (null).
+export const ownerIdFor = (user, requestedId) => {
+  if (isAdmin(user)) return requestedId;
+  if (!requestedId || requestedId === user.id) return user.id;
+  return null;
+};
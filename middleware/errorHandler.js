@@ -0,0 +1,46 @@
+// errorHandler.js
+import { STATUS_CODES } from "http";
+import { reportError } from "../config/sentry.js";
+import { NotFoundError, toHttpError } from "../utils/errors.js";
+
+// Requests no route answered
+export const notFound = (req, res, next) => {
+  next(new NotFoundError(`No route for ${req.method} ${req.path}`));
+};
+
+// Answer every error with an RFC 7807 problem, e.g.
+//   { "type": "about:blank", "title": "Not Found", "status": 404, "code": "not_found",
+//     "detail": "Property not found", "instance": "/properties/123", "requestId": "..." }
+// Routes pass their errors here with next(err) instead of answering themselves.
+// Express only treats middleware with four arguments as an error handler, next stays unused.
+export const errorHandler = (err, req, res, next) => {
+  const httpError = toHttpError(err);
+
+  // Server errors are logged with their stack, what a client did wrong isn't worth more than a line
+  const details = {
+    method: req.method,
+    url: req.originalUrl,
+    status: httpError.status,
+    code: httpError.code,
+  };
+  if (httpError.status >= 500) {
+    req.log.error(err.message, { ...details, stack: err.stack });
+    reportError(err); // Only server errors are worth tracking, the rest are the client's
+  } else {
+    req.log.warn(httpError.message, details);
+  }
+
+  return res
+    .status(httpError.status)
+    .type("application/problem+json")
+    .json({
+      type: "about:blank", // The code tells problems apart, there are no problem pages to link to
+      title: STATUS_CODES[httpError.status],
+      status: httpError.status,
+      code: httpError.code,
+      detail: httpError.message,
+      instance: req.originalUrl,
+      requestId: req.id,
+      ...httpError.extensions,
+    });
+};
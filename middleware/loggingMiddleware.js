@@ -1,18 +1,30 @@
 // loggingMiddleware.js
-import logger from "../config/logger.js"; // Correct path based on your structure
 
-// Middleware to log the request duration
+// Middleware to log every request once it's answered, as one structured line:
+//   {"level":"info","message":"GET /properties 200","requestId":"...","method":"GET",
+//    "url":"/properties","status":200,"durationMs":12,"responseSize":5120,"ip":"::1",...}
+// Runs after assignRequestId, whose req.log adds the request id (and the user id once
+// logged in).
 export const logRequestDuration = (req, res, next) => {
-  const start = Date.now(); // Record the start time
+  const start = process.hrtime.bigint(); // Record the start time
 
   // When the request finishes, log the duration
   res.on("finish", () => {
-    const duration = Date.now() - start; // Calculate duration
+    const durationMs =
+      Math.round(Number(process.hrtime.bigint() - start) / 1e4) / 100; // Calculate duration, to 0.01 ms
     const { method, originalUrl } = req; // Get request method and URL
     const status = res.statusCode; // Get the response status code
 
     // Log the request information and duration
-    logger.info(`${method} ${originalUrl} ${status} - ${duration}ms`);
+    req.log.info(`${method} ${originalUrl} ${status}`, {
+      method,
+      url: originalUrl,
+      status,
+      durationMs,
+      responseSize: Number(res.get("Content-Length")) || 0, // Bytes of the body
+      ip: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
   });
 
   next(); // Pass the request to the next middleware/handler
@@ -0,0 +1,92 @@
+// rateLimit.js
+import rateLimit from "express-rate-limit";
+import { TooManyRequestsError } from "../utils/errors.js";
+import { getRateLimitStore } from "../utils/rateLimitStore.js";
+
+// Requests allowed per client IP and window, by policy. Each can be changed with
+// an environment variable of the form "<requests>/<window>", e.g.
+// RATE_LIMIT_LOGIN=5/10m. Windows are in s(econds), m(inutes) or h(ours).
+const POLICIES = {
+  login: "10/15m", // POST /login and /login/host, a password guesser gets few tries
+  refresh: "60/1m", // POST /login/refresh, every client refreshes its tokens now and then
+  register: "5/1h", // POST /register
+  read: "300/1m", // GET requests of the other routers
+  write: "60/1m", // Everything else of the other routers
+};
+
+const UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+
+// "10/15m" -> { limit: 10, windowMs: 900000 }
+const parsePolicy = (name) => {
+  const setting =
+    process.env[`RATE_LIMIT_${name.toUpperCase()}`] || POLICIES[name];
+  const match = /^(\d+)\/(\d+)([smh])$/.exec(setting);
+  if (!match) {
+    throw new Error(
+      `Invalid rate limit "${setting}" for ${name}, expected e.g. 10/15m`
+    );
+  }
+  return {
+    limit: Number(match[1]),
+    windowMs: Number(match[2]) * UNITS[match[3]],
+  };
+};
+
+// The counters of one policy in the current rate limit store, in the shape
+// express-rate-limit expects
+const policyStore = (name) => ({
+  prefix: `rate:${name}:`,
+  init({ windowMs }) {
+    this.windowMs = windowMs;
+  },
+  increment(key) {
+    return getRateLimitStore().increment(this.prefix + key, this.windowMs);
+  },
+  decrement(key) {
+    return getRateLimitStore().decrement(this.prefix + key);
+  },
+  resetKey(key) {
+    return getRateLimitStore().reset(this.prefix + key);
+  },
+  get(key) {
+    return getRateLimitStore().get(this.prefix + key);
+  },
+});
+
+// Limit the requests of each client IP by a policy of POLICIES. Responses carry the
+// standard RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset and RateLimit-Policy
+// headers; going over the limit fails with a 429 and a Retry-After header.
+export const limitRate = (name) => {
+  const { limit, windowMs } = parsePolicy(name);
+
+  return rateLimit({
+    limit,
+    windowMs,
+    standardHeaders: "draft-6",
+    legacyHeaders: false,
+    store: policyStore(name),
+    handler: (req, res, next) =>
+      next(
+        new TooManyRequestsError("Too many requests, please try again later")
+      ), // 429 Too Many Requests
+  });
+};
+
+const limitReads = limitRate("read");
+const limitWrites = limitRate("write");
+
+// The policy of the routers without one of their own: looser for reads than for writes
+export const limitApi = (req, res, next) =>
+  ["GET", "HEAD"].includes(req.method)
+    ? limitReads(req, res, next)
+    : limitWrites(req, res, next);
+
+const limitLogins = limitRate("login");
+const limitRefreshes = limitRate("refresh");
+
+// The policy of the login router: refreshing tokens guesses no password, so it doesn't
+// use up the tries of the login policy
+export const limitLogin = (req, res, next) =>
+  req.path === "/refresh"
+    ? limitRefreshes(req, res, next)
+    : limitLogins(req, res, next);
@@ -0,0 +1,22 @@
+// requestId.js
+import { randomUUID } from "crypto";
+import logger from "../config/logger.js";
+import { setRequestContext } from "../config/sentry.js";
+
+// Ids a client or proxy may hand us in X-Request-Id, anything else is replaced
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+// Give every request an id, sent back in the X-Request-Id header and in error
+// responses so a failed call can be found in the logs. An id from the client or a
+// proxy in front of us is kept, so their logs and ours share it.
+// req.log is the logger to use while handling the request, every line it writes
+// carries the id.
+export const assignRequestId = (req, res, next) => {
+  const incoming = req.get("X-Request-Id");
+  req.id =
+    incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+  req.log = logger.child({ requestId: req.id });
+  setRequestContext(req); // Errors reported to Sentry carry the id too
+  res.set("X-Request-Id", req.id);
+  next();
+};
@@ -0,0 +1,133 @@
+// validateRequest.js
+import { ValidationError } from "../utils/errors.js";
+import {
+  createAjv,
+  describeErrors,
+  METHODS,
+  pathKey,
+  pointerTo,
+  spec,
+} from "../utils/openapi.js";
+
+// Request bodies, path parameters and query strings are checked against openapi.yaml
+// before the route handler runs. Parameters arrive as strings, so they get their own
+// instance that coerces "20" to 20 before checking.
+const bodyAjv = createAjv();
+const paramAjv = createAjv({ coerceTypes: true });
+
+// Compile the parameters of one location (path or query) into one object schema.
+// Each entry is [name, required, pointer to its schema].
+const compileParameters = (parameters) =>
+  paramAjv.compile({
+    type: "object",
+    properties: Object.fromEntries(
+      parameters.map(([name, , pointer]) => [name, { $ref: pointer }])
+    ),
+    required: parameters
+      .filter(([, required]) => required)
+      .map(([name]) => name),
+  });
+
+// Validators of one operation of the spec
+const compileOperation = (route, method) => {
+  const pathItem = spec.paths[route];
+  const operation = pathItem[method];
+
+  // Parameters of the path item apply to all its operations, those of the operation come on top
+  const parameters = [
+    ...(pathItem.parameters || []).map((parameter, i) => [
+      parameter,
+      ["paths", route, "parameters", i],
+    ]),
+    ...(operation.parameters || []).map((parameter, i) => [
+      parameter,
+      ["paths", route, method, "parameters", i],
+    ]),
+  ].map(([parameter, location]) => {
+    if (!parameter.$ref) return [parameter, location];
+    // Shared parameters, e.g. #/components/parameters/limit
+    const refPath = parameter.$ref.slice(2).split("/");
+    return [refPath.reduce((node, key) => node[key], spec), refPath];
+  });
+
+  const byLocation = (where) =>
+    parameters
+      .filter(([parameter]) => parameter.in === where)
+      .map(([parameter, location]) => [
+        parameter.name,
+        parameter.required === true,
+        pointerTo(...location, "schema"),
+      ]);
+
+  const pathParameters = byLocation("path");
+  const jsonBody = operation.requestBody?.content?.["application/json"];
+
+  return {
+    pathNames: pathParameters.map(([name]) => name),
+    path: compileParameters(pathParameters),
+    query: compileParameters(byLocation("query")),
+    body:
+      jsonBody?.schema &&
+      bodyAjv.compile({
+        $ref: pointerTo(
+          "paths",
+          route,
+          method,
+          "requestBody",
+          "content",
+          "application/json",
+          "schema"
+        ),
+      }),
+  };
+};
+
+const operations = new Map();
+for (const [route, pathItem] of Object.entries(spec.paths)) {
+  for (const method of METHODS.filter((m) => pathItem[m])) {
+    operations.set(
+      `${method} ${pathKey(route)}`,
+      compileOperation(route, method)
+    );
+  }
+}
+
+// Check the request against the operation of openapi.yaml with the same method and path.
+// Add it to a route after its authentication and authorization middleware, so clients
+// without access get 401/403 before any details about the request. Routes that aren't
+// in the spec pass through unchecked.
+// Fails with a 400 ValidationError listing the problems, e.g.
+//   errors: [{ location: "body", field: "pricePerNight", message: "must be number" }]
+export const validateRequest = (req, res, next) => {
+  const operation = operations.get(
+    `${req.method.toLowerCase()} ${pathKey(req.baseUrl + req.route.path)}`
+  );
+  if (!operation) return next();
+
+  const errors = [];
+
+  // Path parameters are matched by position, the spec and the routers name them differently
+  const pathValues = Object.values(req.params);
+  const pathParameters = Object.fromEntries(
+    operation.pathNames.map((name, i) => [name, pathValues[i]])
+  );
+  if (!operation.path(pathParameters)) {
+    errors.push(...describeErrors("path", operation.path.errors));
+  }
+
+  // Validate a copy, coercion must not change what the route reads
+  if (!operation.query({ ...req.query })) {
+    errors.push(...describeErrors("query", operation.query.errors));
+  }
+
+  // A request without a JSON body is checked as {}, so its required fields are reported
+  if (operation.body && !operation.body(req.body ?? {})) {
+    errors.push(...describeErrors("body", operation.body.errors));
+  }
+
+  if (errors.length) {
+    return next(new ValidationError(errors)); // 400 Bad Request with what is wrong, field by field
+  }
+
+  return next();
+};
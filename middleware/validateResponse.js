@@ -0,0 +1,122 @@
+// validateResponse.js
+import {
+  createAjv,
+  describeErrors,
+  findSpecPath,
+  pointerTo,
+  spec,
+} from "../utils/openapi.js";
+
+const SCHEMA_REF = "#/components/schemas/";
+
+// Names of the component schemas used as allOf branches anywhere in node
+const allOfBranches = (node, names = new Set()) => {
+  if (Array.isArray(node)) {
+    node.forEach((item) => allOfBranches(item, names));
+  } else if (node && typeof node === "object") {
+    for (const branch of node.allOf ?? []) {
+      if (branch.$ref?.startsWith(SCHEMA_REF)) {
+        names.add(branch.$ref.slice(SCHEMA_REF.length));
+      }
+    }
+    Object.values(node).forEach((value) => allOfBranches(value, names));
+  }
+  return names;
+};
+
+// The spec with its resource schemas closed: a response field that openapi.yaml
+// doesn't document is reported, so a select that grows a field fails the tests
+// until the spec catches up. Schemas combined through allOf stay open, a closed
+// branch would reject the fields of the other branches.
+const closeSchemas = (document) => {
+  const copy = structuredClone(document);
+  const combined = allOfBranches(copy);
+
+  for (const [name, schema] of Object.entries(copy.components.schemas)) {
+    if (schema.properties && !combined.has(name)) {
+      schema.unevaluatedProperties ??= false;
+    }
+  }
+  return copy;
+};
+
+const responseAjv = createAjv({}, closeSchemas(spec));
+const validators = new Map();
+
+// Compile the schema of one documented response body once, on first use
+const validatorFor = (...segments) => {
+  const pointer = pointerTo(...segments);
+  if (!validators.has(pointer)) {
+    validators.set(pointer, responseAjv.compile({ $ref: pointer }));
+  }
+  return validators.get(pointer);
+};
+
+// Contract problems seen since the last takeContractViolations()
+const violations = [];
+
+// What is wrong with a response compared to openapi.yaml, or null when it matches
+const checkResponse = (method, requestPath, status, contentType, body) => {
+  const route = findSpecPath(requestPath);
+  const operation = route && spec.paths[route][method];
+  if (!operation)
+    return `${method.toUpperCase()} ${
+      route ?? requestPath
+    } is not in openapi.yaml`;
+
+  const statusKey = [String(status), `${String(status)[0]}XX`, "default"].find(
+    (key) => operation.responses?.[key]
+  );
+  if (!statusKey) return `status ${status} is not documented`;
+
+  // Shared responses are a $ref to #/components/responses
+  let location = ["paths", route, method, "responses", statusKey];
+  const { $ref } = operation.responses[statusKey];
+  if ($ref) location = $ref.slice(2).split("/");
+  const response = location.reduce((node, key) => node[key], spec);
+
+  const content = response.content;
+  if (!content) return "the body is not documented";
+  if (!content[contentType]?.schema) {
+    return `${contentType} is not documented for status ${status}`;
+  }
+
+  const validate = validatorFor(...location, "content", contentType, "schema");
+  // Check the body as the client receives it, e.g. Dates as strings
+  if (validate(JSON.parse(JSON.stringify(body)))) return null;
+
+  return describeErrors("body", validate.errors)
+    .map(({ field, message }) => `${field ?? "body"} ${message}`)
+    .join("; ");
+};
+
+// Check every JSON response against the response of openapi.yaml for its path, method
+// and status. Meant for tests (see tests/app.test.js): problems are collected, not
+// sent to the client, and read with takeContractViolations().
+export const checkResponses = (req, res, next) => {
+  const json = res.json.bind(res);
+
+  res.json = (body) => {
+    const contentType = (res.get("Content-Type") ?? "application/json").split(
+      ";"
+    )[0];
+    const problem = checkResponse(
+      req.method.toLowerCase(),
+      req.originalUrl.split("?")[0],
+      res.statusCode,
+      contentType,
+      body
+    );
+    if (problem) {
+      violations.push(
+        `${req.method} ${req.originalUrl} ${res.statusCode}: ${problem}`
+      );
+    }
+    return json(body);
+  };
+
+  next();
+};
+
+// Contract problems seen so far; the list starts over after each call
+export const takeContractViolations = () => violations.splice(0);
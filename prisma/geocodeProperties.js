@@ -0,0 +1,41 @@
+import { PrismaClient } from "@prisma/client";
+import { geocodeAddress } from "../utils/geocoding.js";
+
+// One-time backfill: look up coordinates for properties that don't have them yet.
+// Properties the geocoder doesn't know stay without coordinates, so running it twice is safe.
+const prisma = new PrismaClient();
+
+async function main() {
+  const properties = await prisma.property.findMany({
+    where: { OR: [{ latitude: null }, { longitude: null }] },
+  });
+
+  let located = 0;
+  for (const property of properties) {
+    const coordinates = await geocodeAddress(property);
+    if (!coordinates) {
+      console.log(`No coordinates found for property ${property.title}`);
+      continue;
+    }
+
+    await prisma.property.update({
+      where: { id: property.id },
+      data: coordinates,
+    });
+    located++;
+    console.log(`Geocoded property ${property.title}`);
+  }
+
+  console.log(
+    `Geocoding completed: ${located} of ${properties.length} properties updated.`
+  );
+}
+
+main()
+  .catch((e) => {
+    console.error(e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
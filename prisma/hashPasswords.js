@@ -0,0 +1,56 @@
+import { PrismaClient } from "@prisma/client";
+import { hashPassword, isPasswordHash } from "../utils/passwords.js";
+
+// One-time migration: replace plain-text passwords with bcrypt hashes.
+// Rows that already hold a hash are left alone, so running it twice is safe.
+const prisma = new PrismaClient();
+
+async function main() {
+  const users = await prisma.user.findMany({
+    select: { id: true, username: true, password: true },
+  });
+
+  let hashed = 0;
+  for (const user of users) {
+    if (isPasswordHash(user.password)) continue;
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { password: await hashPassword(user.password) },
+    });
+    hashed++;
+    console.log(`Hashed password of user ${user.username}`);
+  }
+
+  // Hosts without a password can't log in and are skipped
+  const hosts = await prisma.host.findMany({
+    where: { password: { not: null } },
+    select: { id: true, username: true, password: true },
+  });
+
+  for (const host of hosts) {
+    if (isPasswordHash(host.password)) continue;
+
+    await prisma.host.update({
+      where: { id: host.id },
+      data: { password: await hashPassword(host.password) },
+    });
+    hashed++;
+    console.log(`Hashed password of host ${host.username}`);
+  }
+
+  console.log(
+    `Password migration completed: ${hashed} of ${
+      users.length + hosts.length
+    } accounts updated.`
+  );
+}
+
+main()
+  .catch((e) => {
+    console.error(e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
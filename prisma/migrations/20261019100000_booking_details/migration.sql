@@ -0,0 +1,23 @@
+-- CreateEnum
+CREATE TYPE "BookingStatus" AS ENUM ('pending', 'confirmed', 'cancelled');
+
+-- AlterTable
+ALTER TABLE "Booking" RENAME COLUMN "startDate" TO "checkinDate";
+ALTER TABLE "Booking" RENAME COLUMN "endDate" TO "checkoutDate";
+ALTER TABLE "Booking" ADD COLUMN "numberOfGuests" INTEGER NOT NULL DEFAULT 1,
+ADD COLUMN "totalPrice" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN "bookingStatus" "BookingStatus" NOT NULL DEFAULT 'pending';
+
+-- Existing bookings were accepted as soon as they were made
+UPDATE "Booking" SET "bookingStatus" = 'confirmed';
+
+-- Backfill totalPrice from the property's nightly price (calendar nights, at least one)
+UPDATE "Booking" AS b
+SET "totalPrice" = ROUND((p."pricePerNight" * GREATEST(1, b."checkoutDate"::date - b."checkinDate"::date))::numeric, 2)
+FROM "Property" AS p
+WHERE p."id" = b."propertyId";
+
+ALTER TABLE "Booking" ALTER COLUMN "totalPrice" DROP DEFAULT;
+
+-- RenameIndex
+ALTER INDEX "Booking_propertyId_startDate_endDate_idx" RENAME TO "Booking_propertyId_checkinDate_checkoutDate_idx";
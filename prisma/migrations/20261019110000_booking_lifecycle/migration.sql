@@ -0,0 +1,26 @@
+-- AlterEnum
+ALTER TYPE "BookingStatus" ADD VALUE 'checked_in';
+ALTER TYPE "BookingStatus" ADD VALUE 'completed';
+ALTER TYPE "BookingStatus" ADD VALUE 'declined';
+
+-- AlterTable
+ALTER TABLE "Booking" ADD COLUMN "statusChangedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "BookingStatusChange" (
+    "id" TEXT NOT NULL,
+    "bookingId" TEXT NOT NULL,
+    "fromStatus" "BookingStatus" NOT NULL,
+    "toStatus" "BookingStatus" NOT NULL,
+    "actorId" TEXT NOT NULL,
+    "reason" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "BookingStatusChange_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "BookingStatusChange_bookingId_idx" ON "BookingStatusChange"("bookingId");
+
+-- AddForeignKey
+ALTER TABLE "BookingStatusChange" ADD CONSTRAINT "BookingStatusChange_bookingId_fkey" FOREIGN KEY ("bookingId") REFERENCES "Booking"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,8 @@
+-- CreateEnum
+CREATE TYPE "Role" AS ENUM ('guest', 'host', 'admin');
+
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN "role" "Role" NOT NULL DEFAULT 'guest';
+
+-- AlterTable
+ALTER TABLE "Host" ADD COLUMN "password" TEXT;
@@ -0,0 +1,24 @@
+-- Merge hosts that share an email into one before emails become unique: the listings of
+-- the duplicates move to the kept host (the first by id), whose login stays, and the
+-- duplicate accounts are removed with their sessions
+CREATE TEMPORARY TABLE "_HostMerge" AS
+SELECT "id", FIRST_VALUE("id") OVER (PARTITION BY "email" ORDER BY "id") AS "keepId"
+FROM "Host";
+
+UPDATE "Property" p
+SET "hostId" = m."keepId"
+FROM "_HostMerge" m
+WHERE m."id" = p."hostId" AND m."id" <> m."keepId";
+
+DELETE FROM "Session" s
+USING "_HostMerge" m
+WHERE m."id" = s."accountId" AND m."id" <> m."keepId";
+
+DELETE FROM "Host" h
+USING "_HostMerge" m
+WHERE m."id" = h."id" AND m."id" <> m."keepId";
+
+DROP TABLE "_HostMerge";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Host_email_key" ON "Host"("email");
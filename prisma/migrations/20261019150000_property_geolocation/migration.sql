@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "Property" ADD COLUMN     "addressLine" TEXT,
+ADD COLUMN     "city" TEXT,
+ADD COLUMN     "region" TEXT,
+ADD COLUMN     "postalCode" TEXT,
+ADD COLUMN     "countryCode" TEXT,
+ADD COLUMN     "latitude" DOUBLE PRECISION,
+ADD COLUMN     "longitude" DOUBLE PRECISION;
+
+-- CreateIndex
+CREATE INDEX "Property_latitude_longitude_idx" ON "Property"("latitude", "longitude");
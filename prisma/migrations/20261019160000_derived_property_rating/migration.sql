@@ -0,0 +1,34 @@
+-- AlterTable
+ALTER TABLE "Property" ALTER COLUMN "rating" SET DEFAULT 0,
+ADD COLUMN     "reviewCount" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "ratingHistogram" JSONB NOT NULL DEFAULT '{"1":0,"2":0,"3":0,"4":0,"5":0}';
+
+-- CreateIndex
+CREATE INDEX "Review_propertyId_idx" ON "Review"("propertyId");
+
+-- Backfill: the rating used to be typed in by clients, derive it from the reviews instead.
+-- Properties without reviews get a rating of 0. Ratings count towards the nearest star (1 to 5).
+UPDATE "Property" AS p
+SET "rating" = COALESCE(r."average", 0),
+    "reviewCount" = COALESCE(r."count", 0),
+    "ratingHistogram" = jsonb_build_object(
+        '1', COALESCE(r."stars1", 0),
+        '2', COALESCE(r."stars2", 0),
+        '3', COALESCE(r."stars3", 0),
+        '4', COALESCE(r."stars4", 0),
+        '5', COALESCE(r."stars5", 0)
+    )
+FROM "Property" AS p2
+LEFT JOIN (
+    SELECT "propertyId",
+           ROUND(AVG("rating")::numeric, 2)::DOUBLE PRECISION AS "average",
+           COUNT(*)::INTEGER AS "count",
+           COUNT(*) FILTER (WHERE LEAST(GREATEST(ROUND("rating"::numeric), 1), 5) = 1)::INTEGER AS "stars1",
+           COUNT(*) FILTER (WHERE LEAST(GREATEST(ROUND("rating"::numeric), 1), 5) = 2)::INTEGER AS "stars2",
+           COUNT(*) FILTER (WHERE LEAST(GREATEST(ROUND("rating"::numeric), 1), 5) = 3)::INTEGER AS "stars3",
+           COUNT(*) FILTER (WHERE LEAST(GREATEST(ROUND("rating"::numeric), 1), 5) = 4)::INTEGER AS "stars4",
+           COUNT(*) FILTER (WHERE LEAST(GREATEST(ROUND("rating"::numeric), 1), 5) = 5)::INTEGER AS "stars5"
+    FROM "Review"
+    GROUP BY "propertyId"
+) AS r ON r."propertyId" = p2."id"
+WHERE p."id" = p2."id";
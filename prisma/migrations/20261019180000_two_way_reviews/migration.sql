@@ -0,0 +1,40 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "reputation" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "guestReviewCount" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "Review" ADD COLUMN     "hostReply" TEXT,
+ADD COLUMN     "hostRepliedAt" TIMESTAMP(3),
+ADD COLUMN     "releasedAt" TIMESTAMP(3);
+
+-- Existing reviews were already public
+UPDATE "Review" SET "releasedAt" = "createdAt";
+
+-- CreateTable
+CREATE TABLE "GuestReview" (
+    "id" TEXT NOT NULL,
+    "rating" DOUBLE PRECISION NOT NULL,
+    "comment" TEXT,
+    "userId" TEXT NOT NULL,
+    "hostId" TEXT NOT NULL,
+    "bookingId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "releasedAt" TIMESTAMP(3),
+
+    CONSTRAINT "GuestReview_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "GuestReview_bookingId_key" ON "GuestReview"("bookingId");
+
+-- CreateIndex
+CREATE INDEX "GuestReview_userId_idx" ON "GuestReview"("userId");
+
+-- AddForeignKey
+ALTER TABLE "GuestReview" ADD CONSTRAINT "GuestReview_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "GuestReview" ADD CONSTRAINT "GuestReview_hostId_fkey" FOREIGN KEY ("hostId") REFERENCES "Host"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "GuestReview" ADD CONSTRAINT "GuestReview_bookingId_fkey" FOREIGN KEY ("bookingId") REFERENCES "Booking"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,35 @@
+-- CreateEnum
+CREATE TYPE "AmenityCategory" AS ENUM ('general', 'essentials', 'kitchen', 'bathroom', 'bedroom', 'safety', 'accessibility', 'outdoor', 'entertainment', 'parking');
+
+-- AlterTable
+ALTER TABLE "Amenity" ADD COLUMN     "description" TEXT,
+ADD COLUMN     "category" "AmenityCategory" NOT NULL DEFAULT 'general',
+ADD COLUMN     "icon" TEXT,
+ADD COLUMN     "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- Merge amenities that share a name (ignoring case and surrounding spaces) into one,
+-- keeping the properties of all of them, before names become unique
+UPDATE "Amenity" SET "name" = TRIM("name");
+
+CREATE TEMPORARY TABLE "_AmenityMerge" AS
+SELECT "id", FIRST_VALUE("id") OVER (PARTITION BY LOWER("name") ORDER BY "id") AS "keepId"
+FROM "Amenity";
+
+INSERT INTO "_PropertyAmenities" ("A", "B")
+SELECT m."keepId", pa."B"
+FROM "_PropertyAmenities" pa
+JOIN "_AmenityMerge" m ON m."id" = pa."A"
+WHERE m."id" <> m."keepId"
+ON CONFLICT DO NOTHING;
+
+DELETE FROM "Amenity" a
+USING "_AmenityMerge" m
+WHERE m."id" = a."id" AND m."id" <> m."keepId";
+
+DROP TABLE "_AmenityMerge";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Amenity_name_key" ON "Amenity"("name");
+
+-- CreateIndex
+CREATE INDEX "Amenity_category_idx" ON "Amenity"("category");
@@ -0,0 +1,11 @@
+-- AlterEnum
+ALTER TYPE "AuditAction" ADD VALUE 'restore';
+
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN "deletedAt" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "Host" ADD COLUMN "deletedAt" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "Property" ADD COLUMN "deletedAt" TIMESTAMP(3);
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "Booking" ADD COLUMN     "reviewedAt" TIMESTAMP(3);
+
+-- Stays reviewed before the column existed
+UPDATE "Booking" AS b
+SET "reviewedAt" = r."createdAt"
+FROM "Review" AS r
+WHERE r."bookingId" = b."id";
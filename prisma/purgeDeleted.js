@@ -0,0 +1,24 @@
+import { PrismaClient } from "@prisma/client";
+import { DELETED_RETENTION_DAYS, purgeDeleted } from "../utils/softDelete.js";
+
+// Remove the users, hosts and properties that were deleted more than
+// DELETED_RETENTION_DAYS ago, with their bookings and reviews. They can't be restored
+// afterwards. Meant to run periodically, e.g. once a day from cron.
+const prisma = new PrismaClient();
+
+async function main() {
+  const purged = await purgeDeleted(prisma);
+
+  console.log(
+    `Purged ${purged.properties} properties, ${purged.users} users and ${purged.hosts} hosts deleted more than ${DELETED_RETENTION_DAYS} days ago.`
+  );
+}
+
+main()
+  .catch((e) => {
+    console.error(e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
@@ -0,0 +1,23 @@
+import { PrismaClient } from "@prisma/client";
+import { releaseDueReviews, REVIEW_WINDOW_DAYS } from "../utils/reviews.js";
+
+// Publish the reviews whose stay closed its review window without the other side's review.
+// Meant to run periodically, e.g. once an hour from cron. Running it twice is safe.
+const prisma = new PrismaClient();
+
+async function main() {
+  const released = await releaseDueReviews(prisma);
+
+  console.log(
+    `Released ${released.reviews} reviews and ${released.guestReviews} guest reviews whose ${REVIEW_WINDOW_DAYS}-day review window closed.`
+  );
+}
+
+main()
+  .catch((e) => {
+    console.error(e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
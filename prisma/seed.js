@@ -1,4 +1,8 @@
 import { PrismaClient } from "@prisma/client";
+import { hashPassword } from "../utils/passwords.js";
+import { geocodeAddress } from "../utils/geocoding.js";
+import { refreshPropertyRating } from "../utils/ratings.js";
+import { calculateTotalPrice } from "../utils/pricing.js";
 import { promises as fs } from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
@@ -8,6 +12,12 @@ const prisma = new PrismaClient();
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// The JSON data spells "canceled"; the BookingStatus enum uses "cancelled"
+function normalizeBookingStatus(status) {
+  if (status === "canceled") return "cancelled";
+  return status || "pending";
+}
+
 async function main() {
   // Load data from JSON files
   const usersPath = path.join(__dirname, "../src/data", "users.json");
@@ -35,6 +45,8 @@ async function main() {
         data: {
           id: amenity.id,
           name: amenity.name,
+          category: amenity.category,
+          icon: amenity.icon,
         },
       });
     } catch (err) {
@@ -47,9 +59,10 @@ async function main() {
     try {
       await prisma.user.create({
         data: {
+          id: userData.id,
           username: userData.username,
           name: userData.name,
-          password: userData.password,
+          password: await hashPassword(userData.password),
           email: userData.email,
           phoneNumber: userData.phoneNumber,
           profilePicture: userData.profilePicture,
@@ -65,17 +78,39 @@ async function main() {
     }
   }
 
+  // Seed an admin account when ADMIN_USERNAME and ADMIN_PASSWORD are set
+  if (process.env.ADMIN_USERNAME && process.env.ADMIN_PASSWORD) {
+    await prisma.user.upsert({
+      where: { username: process.env.ADMIN_USERNAME },
+      update: { role: "admin" },
+      create: {
+        username: process.env.ADMIN_USERNAME,
+        name: "Administrator",
+        email:
+          process.env.ADMIN_EMAIL || `${process.env.ADMIN_USERNAME}@localhost`,
+        phoneNumber: "",
+        password: await hashPassword(process.env.ADMIN_PASSWORD),
+        role: "admin",
+      },
+    });
+    console.log(`Admin account ready: ${process.env.ADMIN_USERNAME}`);
+  }
+
   // Seed hosts
   for (const hostData of hosts) {
     try {
       await prisma.host.create({
         data: {
+          id: hostData.id,
           username: hostData.username,
           name: hostData.name,
           email: hostData.email,
           phoneNumber: hostData.phoneNumber,
           profilePicture: hostData.profilePicture,
           aboutMe: hostData.aboutMe,
+          password: hostData.password
+            ? await hashPassword(hostData.password)
+            : null,
         },
       });
     } catch (err) {
@@ -109,11 +144,11 @@ async function main() {
             title: propertyData.title,
             description: propertyData.description,
             location: propertyData.location,
+            ...(await geocodeAddress({ location: propertyData.location })), // Coordinates for map and radius search
             pricePerNight: parseFloat(propertyData.pricePerNight),
             bedroomCount: propertyData.bedroomCount || 0,
             bathroomCount: propertyData.bathRoomCount || 0,
             maxGuestCount: propertyData.maxGuestCount || 1,
-            rating: propertyData.rating || 0,
             host: { connect: { id: propertyData.hostId } }, // Ensure this is using 'hostId'
           },
         });
@@ -129,11 +164,11 @@ async function main() {
 
   // Seed bookings
   for (const bookingData of bookings) {
-    const startDate = new Date(bookingData.checkinDate);
-    const endDate = new Date(bookingData.checkoutDate);
+    const checkinDate = new Date(bookingData.checkinDate);
+    const checkoutDate = new Date(bookingData.checkoutDate);
 
     // Validate dates
-    if (isNaN(startDate) || isNaN(endDate)) {
+    if (isNaN(checkinDate) || isNaN(checkoutDate)) {
       console.log(`Invalid dates for booking: ${bookingData.id}, skipping.`);
       continue;
     }
@@ -153,8 +188,16 @@ async function main() {
         await prisma.booking.create({
           data: {
             id: bookingData.id,
-            startDate: startDate,
-            endDate: endDate,
+            checkinDate: checkinDate,
+            checkoutDate: checkoutDate,
+            numberOfGuests: bookingData.numberOfGuests || 1,
+            // Priced like POST /bookings does, the totalPrice of the sample data is ignored
+            totalPrice: calculateTotalPrice(
+              propertyExists.pricePerNight,
+              checkinDate,
+              checkoutDate
+            ),
+            bookingStatus: normalizeBookingStatus(bookingData.bookingStatus),
             user: { connect: { id: bookingData.userId } },
             property: { connect: { id: bookingData.propertyId } },
           },
@@ -188,6 +231,7 @@ async function main() {
             id: reviewData.id,
             rating: reviewData.rating,
             comment: reviewData.comment,
+            releasedAt: new Date(), // Sample reviews are public right away
             user: { connect: { id: reviewData.userId } },
             property: { connect: { id: reviewData.propertyId } },
           },
@@ -202,6 +246,13 @@ async function main() {
     }
   }
 
+  // Derive the property ratings from the seeded reviews
+  for (const propertyData of properties) {
+    await prisma.$transaction((tx) =>
+      refreshPropertyRating(tx, propertyData.id)
+    );
+  }
+
   console.log("Seeding completed successfully!");
 }
 
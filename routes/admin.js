@@ -0,0 +1,68 @@
+// routes/admin.js
+import express from "express";
+import { PrismaClient } from "@prisma/client";
+import { traceQueries } from "../config/sentry.js";
+import { requireRole, verifyToken } from "../middleware/auth.js";
+import { ROLES } from "../utils/tokens.js";
+import { findPage, setPageHeaders } from "../utils/pagination.js";
+import { parseDate } from "../utils/availability.js";
+import { validateRequest } from "../middleware/validateRequest.js";
+
+const router = express.Router();
+const prisma = traceQueries(new PrismaClient());
+
+const adminOnly = requireRole(ROLES.ADMIN); // Everything here is for admins only
+
+const auditSelect = {
+  id: true,
+  action: true,
+  entity: true,
+  entityId: true,
+  actorId: true,
+  actorRole: true,
+  changes: true,
+  ip: true,
+  requestId: true,
+  createdAt: true,
+};
+
+// GET /admin/audit - Query the audit log, newest entries first, optionally filtered by
+// entity, entityId, actor, action and a from/to time window
+router.get(
+  "/audit",
+  verifyToken,
+  adminOnly,
+  validateRequest,
+  async (req, res, next) => {
+    const { entity, entityId, actor, action, from, to } = req.query;
+
+    try {
+      const filters = {};
+
+      if (entity) filters.entity = entity;
+      if (entityId) filters.entityId = entityId;
+      if (actor) filters.actorId = actor;
+      if (action) filters.action = action;
+
+      if (from || to) {
+        filters.createdAt = {
+          ...(from && { gte: parseDate(from) }),
+          ...(to && { lte: parseDate(to) }),
+        };
+      }
+
+      const page = await findPage(
+        prisma.auditLog,
+        { ...req.query, sort: req.query.sort ?? "-createdAt" },
+        { where: filters, select: auditSelect }
+      );
+
+      setPageHeaders(req, res, page);
+      return res.status(200).json(page.items); // Success response
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+export default router;
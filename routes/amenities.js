@@ -1,137 +1,178 @@
 import express from "express";
 import { PrismaClient } from "@prisma/client";
-import { verifyToken } from "../middleware/auth.js"; // Import the JWT authentication middleware
+import { traceQueries } from "../config/sentry.js";
+import { requireRole, verifyToken } from "../middleware/auth.js"; // Import the JWT authentication middleware
+import { ROLES } from "../utils/tokens.js";
+import { findPage, setPageHeaders } from "../utils/pagination.js";
+import { recordAudit } from "../utils/audit.js";
+import { amenitySelect, findAmenityByName } from "../utils/amenities.js";
+import { ConflictError, NotFoundError } from "../utils/errors.js";
+import { validateRequest } from "../middleware/validateRequest.js";
 
 const router = express.Router();
-const prisma = new PrismaClient();
+const prisma = traceQueries(new PrismaClient());
+
+// GET /amenities - Fetch all amenities, optionally of one category (?category=safety)
+router.get("/", validateRequest, async (req, res, next) => {
+  const { category } = req.query; // One of AmenityCategory in openapi.yaml
 
-// GET /amenities - Fetch all amenities
-router.get("/", async (req, res) => {
   try {
-    const amenities = await prisma.amenity.findMany({
-      select: {
-        id: true,
-        name: true,
-        description: true,
-        createdAt: true,
-      },
+    const page = await findPage(prisma.amenity, req.query, {
+      where: category ? { category } : {},
+      select: amenitySelect,
     });
 
-    return res.status(200).json(amenities); // 200 OK for successful retrieval of all amenities
+    setPageHeaders(req, res, page);
+    return res.status(200).json(page.items); // 200 OK for successful retrieval of all amenities
   } catch (err) {
-    console.error(err);
-    return res.status(500).json({ message: "Server error" }); // 500 Internal Server Error
+    return next(err);
   }
 });
 
+// Amenities are a shared catalog, only admins change it
+const adminOnly = requireRole(ROLES.ADMIN);
+
 // POST /amenities - Create a new amenity
 // Apply the JWT authentication middleware to this route
-router.post("/", verifyToken, async (req, res) => {
-  const { name, description } = req.body;
-
-  if (!name || !description) {
-    return res
-      .status(400)
-      .json({ message: "Name and description are required" }); // 400 Bad Request for missing fields
-  }
-
-  try {
-    // Create the new amenity
-    const newAmenity = await prisma.amenity.create({
-      data: {
-        name,
-        description,
-      },
-    });
-
-    return res.status(201).json(newAmenity); // 201 Created for successfully creating a new amenity
-  } catch (err) {
-    console.error(err);
-    return res.status(500).json({ message: "Server error" }); // 500 Internal Server Error
+router.post(
+  "/",
+  verifyToken,
+  adminOnly,
+  validateRequest,
+  async (req, res, next) => {
+    const { name, description, category, icon } = req.body; // Checked against AmenityCreate in openapi.yaml
+
+    try {
+      // Amenity names are unique, whatever their case
+      if (await findAmenityByName(prisma, name)) {
+        return next(
+          new ConflictError(`An amenity named ${name} already exists`, {
+            code: "unique_violation",
+            fields: ["name"],
+          })
+        ); // 409 Conflict for a duplicate name
+      }
+
+      // Create the new amenity
+      const newAmenity = await prisma.$transaction(async (tx) => {
+        const created = await tx.amenity.create({
+          data: {
+            name: name.trim(),
+            description,
+            category,
+            icon,
+          },
+          select: amenitySelect,
+        });
+        await recordAudit(tx, req, { entity: "Amenity", after: created });
+        return created;
+      });
+
+      return res.status(201).json(newAmenity); // 201 Created for successfully creating a new amenity
+    } catch (err) {
+      return next(err); // A concurrent request that took the name first gets a 409 too
+    }
   }
-});
+);
 
 // GET /amenities/:id - Fetch a single amenity by id
-router.get("/:id", async (req, res) => {
+router.get("/:id", validateRequest, async (req, res, next) => {
   const { id } = req.params;
 
   try {
     const amenity = await prisma.amenity.findUnique({
       where: { id },
-      select: {
-        id: true,
-        name: true,
-        description: true,
-        createdAt: true,
-      },
+      select: amenitySelect,
     });
 
     if (!amenity) {
-      return res.status(404).json({ message: "Amenity not found" }); // 404 Not Found if amenity doesn't exist
+      return next(new NotFoundError("Amenity not found")); // 404 Not Found if amenity doesn't exist
     }
 
     return res.status(200).json(amenity); // 200 OK for successful retrieval
   } catch (err) {
-    console.error(err);
-    return res.status(500).json({ message: "Server error" }); // 500 Internal Server Error
+    return next(err);
   }
 });
 
 // PUT /amenities/:id - Update an amenity by id
 // Apply the JWT authentication middleware to this route
-router.put("/:id", verifyToken, async (req, res) => {
-  const { id } = req.params;
-  const { name, description } = req.body;
-
-  if (!name && !description) {
-    return res.status(400).json({
-      message: "At least one field (name or description) is required", // 400 Bad Request if no fields provided
-    });
-  }
-
-  try {
-    const amenity = await prisma.amenity.findUnique({ where: { id } });
-
-    if (!amenity) {
-      return res.status(404).json({ message: "Amenity not found" }); // 404 Not Found if amenity doesn't exist
+router.put(
+  "/:id",
+  verifyToken,
+  adminOnly,
+  validateRequest,
+  async (req, res, next) => {
+    const { id } = req.params;
+    const { name, description, category, icon } = req.body; // Checked against AmenityUpdate in openapi.yaml
+
+    try {
+      const amenity = await prisma.amenity.findUnique({ where: { id } });
+
+      if (!amenity) {
+        return next(new NotFoundError("Amenity not found")); // 404 Not Found if amenity doesn't exist
+      }
+
+      if (name !== undefined && (await findAmenityByName(prisma, name, id))) {
+        return next(
+          new ConflictError(`An amenity named ${name} already exists`, {
+            code: "unique_violation",
+            fields: ["name"],
+          })
+        ); // 409 Conflict for a duplicate name
+      }
+
+      const updatedData = {};
+      if (name !== undefined) updatedData.name = name.trim();
+      if (description !== undefined) updatedData.description = description;
+      if (category !== undefined) updatedData.category = category;
+      if (icon !== undefined) updatedData.icon = icon;
+
+      const updatedAmenity = await prisma.$transaction(async (tx) => {
+        const updated = await tx.amenity.update({
+          where: { id },
+          data: updatedData,
+          select: amenitySelect,
+        });
+        await recordAudit(tx, req, {
+          entity: "Amenity",
+          before: amenity,
+          after: updated,
+        });
+        return updated;
+      });
+
+      return res.status(200).json(updatedAmenity); // 200 OK for successfully updating the amenity
+    } catch (err) {
+      return next(err);
     }
-
-    const updatedData = {};
-    if (name) updatedData.name = name;
-    if (description) updatedData.description = description;
-
-    const updatedAmenity = await prisma.amenity.update({
-      where: { id },
-      data: updatedData,
-    });
-
-    return res.status(200).json(updatedAmenity); // 200 OK for successfully updating the amenity
-  } catch (err) {
-    console.error(err);
-    return res.status(500).json({ message: "Server error" }); // 500 Internal Server Error
   }
-});
+);
 
 // DELETE /amenities/:id - Delete an amenity by id
 // Apply the JWT authentication middleware to this route
-router.delete("/:id", verifyToken, async (req, res) => {
-  const { id } = req.params;
-
-  try {
-    const deletedAmenity = await prisma.amenity.delete({
-      where: { id },
-    });
-
-    return res.status(200).json({
-      message: `Amenity ${deletedAmenity.name} deleted successfully`, // 200 OK for successful deletion
-    });
-  } catch (err) {
-    console.error(err);
-    if (err.code === "P2025") {
-      return res.status(404).json({ message: "Amenity not found" }); // 404 Not Found if amenity doesn't exist
+router.delete(
+  "/:id",
+  verifyToken,
+  adminOnly,
+  validateRequest,
+  async (req, res, next) => {
+    const { id } = req.params;
+
+    try {
+      const deletedAmenity = await prisma.$transaction(async (tx) => {
+        const deleted = await tx.amenity.delete({ where: { id } });
+        await recordAudit(tx, req, { entity: "Amenity", before: deleted });
+        return deleted;
+      });
+
+      return res.status(200).json({
+        message: `Amenity ${deletedAmenity.name} deleted successfully`, // 200 OK for successful deletion
+      });
+    } catch (err) {
+      return next(err);
     }
-    return res.status(500).json({ message: "Server error" }); // 500 Internal Server Error
   }
-});
+);
 
 export default router;
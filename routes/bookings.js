@@ -1,170 +1,457 @@
 import express from "express";
 import { PrismaClient } from "@prisma/client";
-import { verifyToken } from "../middleware/auth.js"; // Import the JWT authentication middleware
+import { traceQueries } from "../config/sentry.js";
+import { requireRole, verifyToken } from "../middleware/auth.js"; // Import the JWT authentication middleware
+import { assertPropertyAvailable, parseDate } from "../utils/availability.js";
+import { calculateTotalPrice } from "../utils/pricing.js";
+import {
+  BOOKING_TRANSITIONS,
+  EDITABLE_BOOKING_STATUSES,
+  transitionBooking,
+} from "../utils/bookingStatus.js";
+import {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+} from "../utils/errors.js";
+import { ROLES } from "../utils/tokens.js";
+import { findPage, setPageHeaders } from "../utils/pagination.js";
+import { recordAudit } from "../utils/audit.js";
+import { notDeleted, ofLiveStay } from "../utils/softDelete.js";
+import {
+  canAccessBooking,
+  canHostBooking,
+  canManageBooking,
+  isAdmin,
+  ownerIdFor,
+} from "../middleware/authorize.js"; // Guests manage only their own bookings
+import { validateRequest } from "../middleware/validateRequest.js";
 
 const router = express.Router();
-const prisma = new PrismaClient();
+const prisma = traceQueries(new PrismaClient());
 
-// GET /bookings - Fetch all bookings or filter by userId
-router.get("/", async (req, res) => {
+// Only guests (and admins) can book a stay
+const canBook = requireRole(ROLES.GUEST, ROLES.ADMIN);
+
+// Fields returned for a booking
+const bookingSelect = {
+  id: true,
+  checkinDate: true,
+  checkoutDate: true,
+  numberOfGuests: true,
+  totalPrice: true,
+  bookingStatus: true,
+  statusChangedAt: true,
+  userId: true,
+  propertyId: true,
+};
+
+// Check the guest count against the property and price the stay.
+// totalPrice is always derived from pricePerNight, never taken from the request.
+const priceStay = (property, { checkinDate, checkoutDate, numberOfGuests }) => {
+  if (numberOfGuests > property.maxGuestCount) {
+    throw new BadRequestError(
+      `This property allows at most ${property.maxGuestCount} guests`
+    );
+  }
+
+  return calculateTotalPrice(property.pricePerNight, checkinDate, checkoutDate);
+};
+
+// The bookings an account may see: guests their own, hosts those of their listings,
+// admins all of them
+const visibleBookings = (user) => {
+  if (isAdmin(user)) return {};
+  if (user.role === ROLES.HOST) return { property: { hostId: user.id } };
+  return { userId: user.id };
+};
+
+// GET /bookings - Fetch the bookings the caller may see, optionally filtered by userId
+router.get("/", verifyToken, validateRequest, async (req, res, next) => {
   const { userId } = req.query; // Get userId from query parameters
 
   try {
-    const filters = {};
+    const filters = [visibleBookings(req.user), ofLiveStay];
 
     // Apply userId filter if provided
     if (userId) {
-      filters.userId = userId; // Filter bookings by userId
+      filters.push({ userId }); // Filter bookings by userId, within what the caller may see
     }
 
-    const bookings = await prisma.booking.findMany({
-      where: filters,
-      select: {
-        id: true,
-        startDate: true,
-        endDate: true,
-        userId: true,
-        propertyId: true,
-        createdAt: true,
-      },
+    const page = await findPage(prisma.booking, req.query, {
+      where: { AND: filters },
+      select: bookingSelect,
     });
 
-    return res.status(200).json(bookings); // 200 OK for successful retrieval
+    setPageHeaders(req, res, page);
+    return res.status(200).json(page.items); // 200 OK for successful retrieval
   } catch (err) {
-    console.error(err);
-    return res.status(500).json({ message: "Server error" }); // 500 Internal Server Error
+    return next(err);
   }
 });
 
 // POST /bookings - Create a new booking
 // Apply JWT authentication middleware to this route
-router.post("/", verifyToken, async (req, res) => {
-  const { startDate, endDate, userId, propertyId } = req.body;
+// startDate/endDate are still accepted as aliases of checkinDate/checkoutDate.
+// New bookings always start as pending; bookingStatus in the body is ignored.
+// Guests book for themselves (userId defaults to theirs), admins for anyone.
+router.post(
+  "/",
+  verifyToken,
+  canBook,
+  validateRequest,
+  async (req, res, next) => {
+    const { propertyId } = req.body;
+    const checkinInput = req.body.checkinDate ?? req.body.startDate;
+    const checkoutInput = req.body.checkoutDate ?? req.body.endDate;
 
-  if (!startDate || !endDate || !userId || !propertyId) {
-    return res.status(400).json({
-      message: "Start date, end date, user ID, and property ID are required", // 400 Bad Request for missing fields
-    });
-  }
+    const userId = ownerIdFor(req.user, req.body.userId);
+    if (userId === null) {
+      return next(new ForbiddenError("You can only book for yourself")); // 403 Forbidden
+    }
 
-  try {
-    // Check if the user exists
-    const userExists = await prisma.user.findUnique({ where: { id: userId } });
-    if (!userExists) {
-      return res.status(404).json({ message: "User not found" }); // 404 Not Found if user doesn't exist
+    // propertyId is required by the spec; the dates may come under either name and
+    // admins name the guest
+    if (
+      [checkinInput, checkoutInput, userId].some((value) => value === undefined)
+    ) {
+      return next(
+        new BadRequestError(
+          "Checkin date, checkout date and user ID are required"
+        )
+      ); // 400 Bad Request for missing fields
     }
 
-    // Check if the property exists
-    const propertyExists = await prisma.property.findUnique({
-      where: { id: propertyId },
-    });
-    if (!propertyExists) {
-      return res.status(404).json({ message: "Property not found" }); // 404 Not Found if property doesn't exist
+    const checkinDate = parseDate(checkinInput);
+    const checkoutDate = parseDate(checkoutInput);
+
+    if (!checkinDate || !checkoutDate) {
+      return next(new BadRequestError("Invalid checkin or checkout date")); // 400 Bad Request for unparseable dates
     }
 
-    // Create the new booking
-    const newBooking = await prisma.booking.create({
-      data: {
-        startDate: new Date(startDate),
-        endDate: new Date(endDate),
-        userId,
-        propertyId,
-      },
-    });
+    const numberOfGuests = req.body.numberOfGuests ?? 1; // A positive integer, see BookingCreate in openapi.yaml
 
-    return res.status(201).json(newBooking); // 201 Created for successfully creating a new booking
-  } catch (err) {
-    console.error(err);
-    return res.status(500).json({ message: "Server error" }); // 500 Internal Server Error
-  }
-});
+    try {
+      // Check if the user exists
+      const userExists = await prisma.user.findFirst({
+        where: { id: userId, ...notDeleted },
+      });
+      if (!userExists) {
+        return next(new NotFoundError("User not found")); // 404 Not Found if user doesn't exist
+      }
 
-// GET /bookings/:id - Fetch a single booking by id
-router.get("/:id", async (req, res) => {
-  const { id } = req.params;
+      // Check availability and create the booking in one transaction,
+      // so two concurrent requests can't both grab the same dates
+      const newBooking = await prisma.$transaction(async (tx) => {
+        const property = await assertPropertyAvailable(tx, {
+          propertyId,
+          checkinDate,
+          checkoutDate,
+        });
 
-  try {
-    const booking = await prisma.booking.findUnique({
-      where: { id },
-      select: {
-        id: true,
-        startDate: true,
-        endDate: true,
-        userId: true,
-        propertyId: true,
-        createdAt: true,
-      },
-    });
+        const totalPrice = priceStay(property, {
+          checkinDate,
+          checkoutDate,
+          numberOfGuests,
+        });
 
-    if (!booking) {
-      return res.status(404).json({ message: "Booking not found" }); // 404 Not Found if booking doesn't exist
+        const created = await tx.booking.create({
+          data: {
+            checkinDate,
+            checkoutDate,
+            numberOfGuests,
+            totalPrice,
+            userId,
+            propertyId,
+          },
+        });
+        await recordAudit(tx, req, { entity: "Booking", after: created });
+        return created;
+      });
+
+      return res.status(201).json(newBooking); // 201 Created for successfully creating a new booking
+    } catch (err) {
+      return next(err);
     }
+  }
+);
 
-    return res.status(200).json(booking); // 200 OK for successful retrieval of the booking
-  } catch (err) {
-    console.error(err);
-    return res.status(500).json({ message: "Server error" }); // 500 Internal Server Error
+// GET /bookings/:id - Fetch a single booking by id, for its guest, its host or an admin
+router.get(
+  "/:id",
+  verifyToken,
+  canAccessBooking,
+  validateRequest,
+  async (req, res, next) => {
+    const { id } = req.params;
+
+    try {
+      const booking = await prisma.booking.findFirst({
+        where: { id, ...ofLiveStay },
+        select: bookingSelect,
+      });
+
+      if (!booking) {
+        return next(new NotFoundError("Booking not found")); // 404 Not Found if booking doesn't exist
+      }
+
+      return res.status(200).json(booking); // 200 OK for successful retrieval of the booking
+    } catch (err) {
+      return next(err);
+    }
   }
-});
+);
 
 // PUT /bookings/:id - Update a booking by id
 // Apply JWT authentication middleware to this route
-router.put("/:id", verifyToken, async (req, res) => {
-  const { id } = req.params;
-  const { startDate, endDate, userId, propertyId } = req.body;
-
-  if (!startDate && !endDate && !userId && !propertyId) {
-    return res.status(400).json({
-      message:
-        "At least one field (startDate, endDate, userId, propertyId) is required", // 400 Bad Request for missing fields
-    });
+router.put(
+  "/:id",
+  verifyToken,
+  canManageBooking,
+  validateRequest,
+  async (req, res, next) => {
+    const { id } = req.params;
+    const { userId, propertyId, numberOfGuests, bookingStatus } = req.body;
+    const checkinInput = req.body.checkinDate ?? req.body.startDate;
+    const checkoutInput = req.body.checkoutDate ?? req.body.endDate;
+
+    if (bookingStatus !== undefined) {
+      return next(
+        new BadRequestError(
+          `Booking status can't be set directly, use one of: ${Object.keys(
+            BOOKING_TRANSITIONS
+          )
+            .map((action) => `POST /bookings/${id}/${action}`)
+            .join(", ")}`
+        )
+      ); // 400 Bad Request, status only changes through the lifecycle endpoints
+    }
+
+    // Moving a booking to another guest is up to admins
+    if (userId !== undefined && !isAdmin(req.user)) {
+      return next(
+        new ForbiddenError("Only admins can change the guest of a booking")
+      ); // 403 Forbidden
+    }
+
+    const checkinDate =
+      checkinInput === undefined ? undefined : parseDate(checkinInput);
+    const checkoutDate =
+      checkoutInput === undefined ? undefined : parseDate(checkoutInput);
+
+    if (checkinDate === null || checkoutDate === null) {
+      return next(new BadRequestError("Invalid checkin or checkout date")); // 400 Bad Request for unparseable dates
+    }
+
+    try {
+      const updatedBooking = await prisma.$transaction(async (tx) => {
+        const booking = await tx.booking.findUnique({ where: { id } });
+
+        if (!booking) {
+          throw new NotFoundError("Booking not found"); // 404 Not Found if booking doesn't exist
+        }
+
+        if (!EDITABLE_BOOKING_STATUSES.includes(booking.bookingStatus)) {
+          throw new ConflictError(
+            `A booking that is ${booking.bookingStatus} can no longer be changed`
+          ); // 409 Conflict once the stay has started or ended
+        }
+
+        const updatedData = {};
+        if (checkinDate) updatedData.checkinDate = checkinDate;
+        if (checkoutDate) updatedData.checkoutDate = checkoutDate;
+        if (numberOfGuests) updatedData.numberOfGuests = numberOfGuests;
+        if (userId !== undefined) updatedData.userId = userId;
+        if (propertyId !== undefined) updatedData.propertyId = propertyId;
+
+        // Re-check availability and re-price whenever the stay changes
+        if (
+          checkinDate ||
+          checkoutDate ||
+          numberOfGuests ||
+          propertyId !== undefined
+        ) {
+          const stay = {
+            checkinDate: checkinDate || booking.checkinDate,
+            checkoutDate: checkoutDate || booking.checkoutDate,
+            numberOfGuests: numberOfGuests || booking.numberOfGuests,
+          };
+
+          const property = await assertPropertyAvailable(tx, {
+            propertyId: propertyId ?? booking.propertyId,
+            checkinDate: stay.checkinDate,
+            checkoutDate: stay.checkoutDate,
+            excludeBookingId: id,
+          });
+
+          updatedData.totalPrice = priceStay(property, stay);
+        }
+
+        // The host accepted the old dates and property, not the new ones: a confirmed
+        // booking that moves goes back to pending, recorded like any status change
+        const stayMoved =
+          (checkinDate &&
+            checkinDate.getTime() !== booking.checkinDate.getTime()) ||
+          (checkoutDate &&
+            checkoutDate.getTime() !== booking.checkoutDate.getTime()) ||
+          (propertyId !== undefined && propertyId !== booking.propertyId);
+
+        if (stayMoved && booking.bookingStatus !== "pending") {
+          const now = new Date();
+          updatedData.bookingStatus = "pending";
+          updatedData.statusChangedAt = now;
+
+          await tx.bookingStatusChange.create({
+            data: {
+              bookingId: id,
+              fromStatus: booking.bookingStatus,
+              toStatus: "pending",
+              actorId: req.user.id,
+              reason: "Stay changed, waiting for the host to confirm it again",
+              createdAt: now,
+            },
+          });
+        }
+
+        const updated = await tx.booking.update({
+          where: { id },
+          data: updatedData,
+        });
+        await recordAudit(tx, req, {
+          entity: "Booking",
+          before: booking,
+          after: updated,
+        });
+        return updated;
+      });
+
+      return res.status(200).json(updatedBooking); // 200 OK for successful update
+    } catch (err) {
+      return next(err);
+    }
   }
+);
 
-  try {
-    const booking = await prisma.booking.findUnique({ where: { id } });
+// Who may trigger each lifecycle action: the property's host handles the
+// request and the stay, the guest or the host may cancel
+const hostOfBooking = [requireRole(ROLES.HOST, ROLES.ADMIN), canHostBooking];
+const transitionGuards = {
+  confirm: hostOfBooking,
+  decline: hostOfBooking,
+  cancel: [canAccessBooking],
+  "check-in": hostOfBooking,
+  complete: hostOfBooking,
+};
 
-    if (!booking) {
-      return res.status(404).json({ message: "Booking not found" }); // 404 Not Found if booking doesn't exist
+// POST /bookings/:id/confirm | decline | cancel | check-in | complete
+// Move a booking through its lifecycle; illegal transitions are rejected with 409
+// Apply JWT authentication middleware to these routes
+for (const action of Object.keys(BOOKING_TRANSITIONS)) {
+  router.post(
+    `/:id/${action}`,
+    verifyToken,
+    ...transitionGuards[action],
+    validateRequest,
+    async (req, res, next) => {
+      const { id } = req.params;
+      const { reason } = req.body || {};
+
+      try {
+        const booking = await prisma.$transaction(async (tx) => {
+          const before = await tx.booking.findUnique({ where: { id } });
+          const after = await transitionBooking(tx, id, action, {
+            actorId: req.user.id,
+            reason,
+          });
+          await recordAudit(tx, req, { entity: "Booking", before, after });
+          return after;
+        });
+
+        return res.status(200).json(booking); // 200 OK with the booking in its new status
+      } catch (err) {
+        return next(err);
+      }
     }
+  );
+}
 
-    const updatedData = {};
-    if (startDate) updatedData.startDate = new Date(startDate);
-    if (endDate) updatedData.endDate = new Date(endDate);
-    if (userId) updatedData.userId = userId;
-    if (propertyId) updatedData.propertyId = propertyId;
+// GET /bookings/:id/history - Status changes of a booking, oldest first
+router.get(
+  "/:id/history",
+  verifyToken,
+  canAccessBooking,
+  validateRequest,
+  async (req, res, next) => {
+    const { id } = req.params;
 
-    const updatedBooking = await prisma.booking.update({
-      where: { id },
-      data: updatedData,
-    });
+    try {
+      const booking = await prisma.booking.findUnique({
+        where: { id },
+        select: {
+          id: true,
+          statusChanges: {
+            select: {
+              fromStatus: true,
+              toStatus: true,
+              actorId: true,
+              reason: true,
+              createdAt: true,
+            },
+            orderBy: { createdAt: "asc" },
+          },
+        },
+      });
 
-    return res.status(200).json(updatedBooking); // 200 OK for successful update
-  } catch (err) {
-    console.error(err);
-    return res.status(500).json({ message: "Server error" }); // 500 Internal Server Error
+      if (!booking) {
+        return next(new NotFoundError("Booking not found")); // 404 Not Found if booking doesn't exist
+      }
+
+      return res.status(200).json(booking.statusChanges); // 200 OK with the status history
+    } catch (err) {
+      return next(err);
+    }
   }
-});
+);
 
-// DELETE /bookings/:id - Delete a booking by id
+// Only admins remove a booking for good, guests and hosts cancel it so its history stays
+const canDeleteBooking = (req, res, next) => {
+  if (!isAdmin(req.user)) {
+    return next(
+      new ForbiddenError(
+        `Only admins can delete a booking, cancel it with POST /bookings/${req.params.id}/cancel`,
+        { code: "role_required", roles: [ROLES.ADMIN] }
+      )
+    ); // 403 Forbidden
+  }
+
+  next();
+};
+
+// DELETE /bookings/:id - Delete a booking by id (admins only)
 // Apply JWT authentication middleware to this route
-router.delete("/:id", verifyToken, async (req, res) => {
-  const { id } = req.params;
+router.delete(
+  "/:id",
+  verifyToken,
+  canDeleteBooking,
+  validateRequest,
+  async (req, res, next) => {
+    const { id } = req.params;
 
-  try {
-    const deletedBooking = await prisma.booking.delete({
-      where: { id },
-    });
+    try {
+      const deletedBooking = await prisma.$transaction(async (tx) => {
+        const deleted = await tx.booking.delete({ where: { id } });
+        await recordAudit(tx, req, { entity: "Booking", before: deleted });
+        return deleted;
+      });
 
-    return res.status(200).json({
-      message: `Booking with ID ${deletedBooking.id} deleted successfully`, // 200 OK for successful deletion
-    });
-  } catch (err) {
-    console.error(err);
-    if (err.code === "P2025") {
-      return res.status(404).json({ message: "Booking not found" }); // 404 Not Found if booking doesn't exist
+      return res.status(200).json({
+        message: `Booking with ID ${deletedBooking.id} deleted successfully`, // 200 OK for successful deletion
+      });
+    } catch (err) {
+      return next(err);
     }
-    return res.status(500).json({ message: "Server error" }); // 500 Internal Server Error
   }
-});
+);
 
 export default router;
@@ -0,0 +1,28 @@
+import express from "express";
+import swaggerUi from "swagger-ui-express";
+import { spec } from "../utils/openapi.js";
+
+const router = express.Router();
+
+// openapi.yaml as served: "Try it out" in /docs sends requests to this server first
+const servedSpec = {
+  ...spec,
+  servers: [{ url: "/", description: "This server" }, ...(spec.servers || [])],
+};
+
+// GET /openapi.json - The OpenAPI document of the API, for clients and code generators
+router.get("/openapi.json", (req, res) => {
+  return res.status(200).json(servedSpec); // 200 OK with the OpenAPI document
+});
+
+// GET /docs - Interactive API explorer (Swagger UI) reading /openapi.json
+router.use("/docs", swaggerUi.serve);
+router.get(
+  "/docs",
+  swaggerUi.setup(null, {
+    customSiteTitle: spec.info.title,
+    swaggerOptions: { url: "/openapi.json" },
+  })
+);
+
+export default router;
@@ -0,0 +1,128 @@
+import express from "express";
+import { PrismaClient } from "@prisma/client";
+import { traceQueries } from "../config/sentry.js";
+import { requireRole, verifyToken } from "../middleware/auth.js"; // Import the JWT authentication middleware
+import { isAdmin } from "../middleware/authorize.js";
+import { ROLES } from "../utils/tokens.js";
+import { findPage, setPageHeaders } from "../utils/pagination.js";
+import { recordAudit } from "../utils/audit.js";
+import {
+  assertBookingReviewable,
+  findBookingForReview,
+  guestReviewSelect,
+  releasedReviews,
+  releaseStayReviews,
+} from "../utils/reviews.js";
+import { ForbiddenError, NotFoundError } from "../utils/errors.js";
+import { notDeleted } from "../utils/softDelete.js";
+import { validateRequest } from "../middleware/validateRequest.js";
+
+const router = express.Router();
+const prisma = traceQueries(new PrismaClient());
+
+// Only hosts (and admins) review guests
+const canReviewGuests = requireRole(ROLES.HOST, ROLES.ADMIN);
+
+// Guest reviews of deleted guests or by deleted hosts are hidden with them
+const ofLiveAccounts = { user: notDeleted, host: notDeleted };
+
+// GET /guest-reviews - Fetch the published reviews of guests, optionally of one guest (?userId=)
+// Apply JWT authentication middleware to this route
+router.get("/", verifyToken, validateRequest, async (req, res, next) => {
+  const { userId } = req.query;
+
+  try {
+    const page = await findPage(prisma.guestReview, req.query, {
+      where: {
+        ...releasedReviews,
+        ...ofLiveAccounts,
+        ...(userId && { userId }),
+      },
+      select: guestReviewSelect,
+    });
+
+    setPageHeaders(req, res, page);
+    return res.status(200).json(page.items); // 200 OK for successful retrieval
+  } catch (err) {
+    return next(err);
+  }
+});
+
+// POST /guest-reviews - The host rates the guest of a stay
+// Apply JWT authentication middleware to this route
+// Same rules as the guest's review: once per stay, between checkout and the end of
+// the review window, hidden until the guest reviewed the stay too or the window closes.
+router.post(
+  "/",
+  verifyToken,
+  canReviewGuests,
+  validateRequest,
+  async (req, res, next) => {
+    const { bookingId, rating, comment } = req.body; // A rating from 1 to 5, see GuestReviewCreate in openapi.yaml
+
+    try {
+      // Create the guest review, and publish it right away when the guest already reviewed the stay
+      const newGuestReview = await prisma.$transaction(async (tx) => {
+        const booking = await findBookingForReview(tx, bookingId);
+        if (!booking) {
+          throw new NotFoundError("Booking not found");
+        }
+
+        if (!isAdmin(req.user) && booking.property.hostId !== req.user.id) {
+          throw new ForbiddenError(
+            "Only the host of this stay can review its guest"
+          );
+        }
+
+        assertBookingReviewable(booking, booking.guestReview);
+
+        // The guest and host come from the booking, not from the request
+        const guestReview = await tx.guestReview.create({
+          data: {
+            rating,
+            comment,
+            bookingId,
+            userId: booking.userId,
+            hostId: booking.property.hostId,
+          },
+        });
+        await recordAudit(tx, req, {
+          entity: "GuestReview",
+          after: guestReview,
+        });
+        await releaseStayReviews(tx, bookingId);
+        return tx.guestReview.findUnique({
+          where: { id: guestReview.id },
+          select: guestReviewSelect,
+        });
+      });
+
+      return res.status(201).json(newGuestReview); // 201 Created for successfully reviewing the guest
+    } catch (err) {
+      return next(err); // Two reviews of the same stay racing each other get a 409 too
+    }
+  }
+);
+
+// GET /guest-reviews/:id - Fetch a single published guest review by id
+// Apply JWT authentication middleware to this route
+router.get("/:id", verifyToken, validateRequest, async (req, res, next) => {
+  const { id } = req.params;
+
+  try {
+    const guestReview = await prisma.guestReview.findFirst({
+      where: { id, ...releasedReviews, ...ofLiveAccounts },
+      select: guestReviewSelect,
+    });
+
+    if (!guestReview) {
+      return next(new NotFoundError("Guest review not found")); // 404 Not Found if it doesn't exist or isn't published yet
+    }
+
+    return res.status(200).json(guestReview); // 200 OK for successful retrieval
+  } catch (err) {
+    return next(err);
+  }
+});
+
+export default router;
@@ -1,173 +1,287 @@
 import express from "express";
 import { PrismaClient } from "@prisma/client";
-import { verifyToken } from "../middleware/auth.js"; // Import the JWT authentication middleware
+import { traceQueries } from "../config/sentry.js";
+import { requireRole, verifyToken } from "../middleware/auth.js"; // Import the JWT authentication middleware
+import { canManageHost, isAdmin } from "../middleware/authorize.js"; // Only the host itself or an admin
+import { checkPasswordStrength, hashPassword } from "../utils/passwords.js";
+import { ROLES } from "../utils/tokens.js";
+import { findPage, setPageHeaders } from "../utils/pagination.js";
+import { recordAudit } from "../utils/audit.js";
+import { assertAccountAvailable, normalizeEmail } from "../utils/accounts.js";
+import { revokeOtherSessions } from "../utils/sessions.js";
+import { notDeleted, restoreDeleted } from "../utils/softDelete.js";
+import { deleteWithPolicies } from "../utils/deletePolicies.js";
+import {
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError,
+} from "../utils/errors.js";
+import { validateRequest } from "../middleware/validateRequest.js";
 
 const router = express.Router();
-const prisma = new PrismaClient();
+const prisma = traceQueries(new PrismaClient());
+
+// Creating host accounts for someone else is an admin task; hosts sign up through POST /register
+const adminOnly = requireRole(ROLES.ADMIN);
 
 // GET /hosts - Fetch all hosts, optionally filter by name
-router.get("/", async (req, res) => {
+router.get("/", validateRequest, async (req, res, next) => {
   const { name } = req.query; // Get the 'name' query parameter
 
   try {
     // Prepare filters
-    const filters = {};
+    const filters = { ...notDeleted };
 
     // Apply filter by name (username) if provided
     if (name) {
       filters.username = { contains: name, mode: "insensitive" }; // Case-insensitive search for username
     }
 
-    const hosts = await prisma.host.findMany({
+    const page = await findPage(prisma.host, req.query, {
       where: filters, // Apply the filters here
       select: {
         id: true,
         username: true,
         email: true,
         aboutMe: true,
-        createdAt: true,
       },
     });
 
-    return res.status(200).json(hosts); // 200 OK for successful retrieval
+    setPageHeaders(req, res, page);
+    return res.status(200).json(page.items); // 200 OK for successful retrieval
   } catch (err) {
-    console.error(err);
-    return res.status(500).json({ message: "Server error" }); // 500 Internal Server Error
+    return next(err);
   }
 });
 
-// POST /hosts - Create a new host
-router.post("/", verifyToken, async (req, res) => {
-  const { username, email, password, aboutMe } = req.body;
+// POST /hosts - Create a new host (admins only)
+router.post(
+  "/",
+  verifyToken,
+  adminOnly,
+  validateRequest,
+  async (req, res, next) => {
+    const { username, password, name, phoneNumber, profilePicture, aboutMe } =
+      req.body;
+    const email = normalizeEmail(req.body.email);
 
-  if (!username || !email || !password) {
-    return res
-      .status(400)
-      .json({ message: "Username, email, and password are required" }); // 400 Bad Request for missing fields
-  }
+    // Missing or empty username, email, password, name and phoneNumber were already
+    // answered field by field by validateRequest, see HostCreate in openapi.yaml
+    const weakPassword = checkPasswordStrength(password, { username, email });
+    if (weakPassword) {
+      return next(new BadRequestError(weakPassword)); // 400 Bad Request for a weak password
+    }
 
-  try {
-    // Check if username or email already exists
-    const existingHost = await prisma.host.findFirst({
-      where: {
-        OR: [{ username }, { email }],
-      },
-    });
+    try {
+      await assertAccountAvailable(prisma, "host", { username, email }); // 409 Conflict if username or email exists
 
-    if (existingHost) {
-      return res
-        .status(400)
-        .json({ message: "Username or email already taken" }); // 400 Bad Request if username or email exists
-    }
+      const hashedPassword = await hashPassword(password); // Hosts log in through POST /login/host
 
-    // Create the new host (password is stored in plain text)
-    const newHost = await prisma.host.create({
-      data: {
-        username,
-        email,
-        password, // Store the plain-text password
-        aboutMe,
-      },
-    });
+      // Create the new host, only the bcrypt hash of the password is stored
+      const newHost = await prisma.$transaction(async (tx) => {
+        const created = await tx.host.create({
+          data: {
+            username,
+            email,
+            password: hashedPassword,
+            name,
+            phoneNumber,
+            profilePicture,
+            aboutMe,
+          },
+        });
+        await recordAudit(tx, req, { entity: "Host", after: created });
+        return created;
+      });
 
-    // Exclude password from the response
-    const { password: _, ...hostWithoutPassword } = newHost;
+      // Exclude password from the response
+      const { password: _, ...hostWithoutPassword } = newHost;
 
-    return res.status(201).json(hostWithoutPassword); // 201 Created for successfully creating a new host
-  } catch (err) {
-    console.error(err);
-    return res.status(500).json({ message: "Server error" }); // 500 Internal Server Error
+      return res.status(201).json(hostWithoutPassword); // 201 Created for successfully creating a new host
+    } catch (err) {
+      return next(err);
+    }
   }
-});
+);
 
 // GET /hosts/:id - Fetch a single host by id (excluding password)
-router.get("/:id", async (req, res) => {
+router.get("/:id", validateRequest, async (req, res, next) => {
   const { id } = req.params;
 
   try {
-    const host = await prisma.host.findUnique({
-      where: { id },
+    const host = await prisma.host.findFirst({
+      where: { id, ...notDeleted },
       select: {
         id: true,
         username: true,
         email: true,
         aboutMe: true,
-        createdAt: true,
       },
     });
 
     if (!host) {
-      return res.status(404).json({ message: "Host not found" }); // 404 Not Found if host doesn't exist
+      return next(new NotFoundError("Host not found")); // 404 Not Found if host doesn't exist
     }
 
     return res.status(200).json(host); // 200 OK for successful retrieval of the host
   } catch (err) {
-    console.error(err);
-    return res.status(500).json({ message: "Server error" }); // 500 Internal Server Error
+    return next(err);
   }
 });
 
 // PUT /hosts/:id - Update a host by id
-router.put("/:id", verifyToken, async (req, res) => {
-  const { id } = req.params;
-  const { username, email, password, aboutMe } = req.body;
+router.put(
+  "/:id",
+  verifyToken,
+  canManageHost,
+  validateRequest,
+  async (req, res, next) => {
+    const { id } = req.params;
+    const { username, password, name, phoneNumber, profilePicture, aboutMe } =
+      req.body;
+    const email = normalizeEmail(req.body.email);
 
-  if (!username && !email && !password && !aboutMe) {
-    return res.status(400).json({
-      message:
-        "At least one field (username, email, password, or aboutMe) is required", // 400 Bad Request for missing fields
-    });
-  }
+    try {
+      const host = await prisma.host.findFirst({
+        where: { id, ...notDeleted },
+      });
 
-  try {
-    const host = await prisma.host.findUnique({ where: { id } });
+      if (!host) {
+        return next(new NotFoundError("Host not found")); // 404 Not Found if host doesn't exist
+      }
 
-    if (!host) {
-      return res.status(404).json({ message: "Host not found" }); // 404 Not Found if host doesn't exist
-    }
+      if (password) {
+        const weakPassword = checkPasswordStrength(password, {
+          username: username || host.username,
+          email: email || host.email,
+        });
+        if (weakPassword) {
+          return next(new BadRequestError(weakPassword)); // 400 Bad Request for a weak password
+        }
+      }
+
+      await assertAccountAvailable(prisma, "host", { username, email }, id); // 409 Conflict if another account has them
 
-    const updatedData = {};
-    if (username) updatedData.username = username;
-    if (email) updatedData.email = email;
-    if (password) {
-      updatedData.password = password; // Store the password in plain text
+      const updatedData = {};
+      if (username) updatedData.username = username;
+      if (email) updatedData.email = email;
+      if (password) {
+        updatedData.password = await hashPassword(password); // Store the bcrypt hash only
+      }
+      if (name !== undefined) updatedData.name = name;
+      if (phoneNumber !== undefined) updatedData.phoneNumber = phoneNumber;
+      if (profilePicture !== undefined) {
+        updatedData.profilePicture = profilePicture;
+      }
+      if (aboutMe !== undefined) updatedData.aboutMe = aboutMe;
+
+      const updatedHost = await prisma.$transaction(async (tx) => {
+        const updated = await tx.host.update({
+          where: { id },
+          data: updatedData,
+        });
+        await recordAudit(tx, req, {
+          entity: "Host",
+          before: host,
+          after: updated,
+        });
+
+        // A new password logs out every other session, whoever held its refresh token
+        if (password) {
+          await revokeOtherSessions(tx, id, req.user.sessionId);
+        }
+        return updated;
+      });
+
+      // Exclude password from the response
+      const { password: _, ...hostWithoutPassword } = updatedHost;
+
+      return res.status(200).json(hostWithoutPassword); // 200 OK for successful update
+    } catch (err) {
+      return next(err);
     }
-    if (aboutMe) updatedData.aboutMe = aboutMe;
+  }
+);
 
-    const updatedHost = await prisma.host.update({
-      where: { id },
-      data: updatedData,
-    });
+// DELETE /hosts/:id - Soft delete a host by id and log them out everywhere. Their
+// listings are deleted with them, by the rules of DELETE /properties/:id, unless an
+// admin hands them over to another host with ?reassignTo=<hostId>.
+// ?dryRun=true only reports what would happen, see utils/deletePolicies.js
+router.delete(
+  "/:id",
+  verifyToken,
+  canManageHost,
+  validateRequest,
+  async (req, res, next) => {
+    const { id } = req.params;
+    const { reassignTo } = req.query;
+    const dryRun = req.query.dryRun === "true";
+
+    // Listings only change hands through an admin
+    if (reassignTo !== undefined && !isAdmin(req.user)) {
+      return next(
+        new ForbiddenError("Only admins can hand listings over to another host")
+      ); // 403 Forbidden
+    }
 
-    // Exclude password from the response
-    const { password: _, ...hostWithoutPassword } = updatedHost;
+    try {
+      const { plan, record } = await prisma.$transaction((tx) =>
+        deleteWithPolicies(tx, req, { entity: "Host", id, reassignTo, dryRun })
+      );
 
-    return res.status(200).json(hostWithoutPassword); // 200 OK for successful update
-  } catch (err) {
-    console.error(err);
-    return res.status(500).json({ message: "Server error" }); // 500 Internal Server Error
+      return res.status(200).json({
+        message: dryRun
+          ? `Dry run, host ${record.username} was not deleted`
+          : `Host ${record.username} deleted successfully`, // 200 OK for successful deletion
+        dryRun,
+        ...plan,
+      });
+    } catch (err) {
+      return next(err);
+    }
   }
-});
+);
 
-// DELETE /hosts/:id - Delete a host by id
-router.delete("/:id", verifyToken, async (req, res) => {
-  const { id } = req.params;
+// POST /hosts/:id/restore - Undo the deletion of a host and of the listings deleted with them (admins only)
+router.post(
+  "/:id/restore",
+  verifyToken,
+  adminOnly,
+  validateRequest,
+  async (req, res, next) => {
+    const { id } = req.params;
 
-  try {
-    const deletedHost = await prisma.host.delete({
-      where: { id },
-    });
+    try {
+      const restoredHost = await prisma.$transaction(async (tx) => {
+        const host = await tx.host.findUnique({ where: { id } });
+        const listings = host?.deletedAt
+          ? await tx.property.findMany({
+              where: { hostId: id, deletedAt: host.deletedAt },
+              select: { id: true },
+            })
+          : [];
 
-    return res.status(200).json({
-      message: `Host ${deletedHost.username} deleted successfully`, // 200 OK for successful deletion
-    });
-  } catch (err) {
-    console.error(err);
-    if (err.code === "P2025") {
-      return res.status(404).json({ message: "Host not found" }); // 404 Not Found if host doesn't exist
+        const restored = await restoreDeleted(tx, req, {
+          model: "host",
+          entity: "Host",
+          id,
+        });
+        for (const listing of listings) {
+          await restoreDeleted(tx, req, {
+            model: "property",
+            entity: "Property",
+            id: listing.id,
+          });
+        }
+        return restored;
+      });
+
+      const { password: _, ...hostWithoutPassword } = restoredHost;
+      return res.status(200).json(hostWithoutPassword); // 200 OK with the restored host
+    } catch (err) {
+      return next(err);
     }
-    return res.status(500).json({ message: "Server error" }); // 500 Internal Server Error
   }
-});
+);
 
 export default router;
@@ -1,51 +1,103 @@
 // routes/login.js
 import express from "express";
-import jwt from "jsonwebtoken";
 import { PrismaClient } from "@prisma/client";
+import { traceQueries } from "../config/sentry.js";
+import { verifyPassword } from "../utils/passwords.js";
+import { createSession, rotateSession } from "../utils/sessions.js";
+import { notDeleted } from "../utils/softDelete.js";
+import { ACCESS_TOKEN_TTL, ROLES } from "../utils/tokens.js";
+import {
+  clearFailedLogins,
+  loginLockedFor,
+  recordFailedLogin,
+} from "../utils/loginLockout.js";
+import { TooManyRequestsError, UnauthorizedError } from "../utils/errors.js";
+import { validateRequest } from "../middleware/validateRequest.js";
 
 const router = express.Router();
-const prisma = new PrismaClient();
-
-// POST /login - Log in a user using JWT and return a token
-router.post("/", async (req, res) => {
-  // Remove '/login' here
-  const { username, password } = req.body;
-
-  // Check if both username and password are provided
-  if (!username || !password) {
-    return res
-      .status(400)
-      .json({ message: "Username and password are required" }); // 400 Bad Request if fields are missing
-  }
+const prisma = traceQueries(new PrismaClient());
+
+// Build a login handler for one kind of account ("user" or "host").
+// findAccount looks the account up by username, roleOf tells which role it logs in with.
+// Repeated failures lock the username and the IP out for a while (see utils/loginLockout.js).
+const login = (accountType, findAccount, roleOf) => async (req, res, next) => {
+  const { username, password } = req.body; // Both required by openapi.yaml
+
+  const attempt = { ip: req.ip, accountType, username };
 
   try {
-    // Find the user by username
-    const user = await prisma.user.findUnique({
-      where: { username },
-    });
-
-    // If user not found, return an error
-    if (!user) {
-      return res.status(401).json({ message: "Invalid credentials" }); // 401 Unauthorized if user is not found
+    // A locked out username or IP isn't even checked, so guessing on is pointless
+    const lockedFor = await loginLockedFor(attempt);
+    if (lockedFor) {
+      res.set("Retry-After", String(lockedFor));
+      return next(
+        new TooManyRequestsError(
+          "Too many failed logins, please try again later",
+          { code: "login_locked" }
+        )
+      ); // 429 Too Many Requests until the lockout ends
     }
 
-    // Compare the provided password with the stored password (no hashing)
-    if (password !== user.password) {
-      return res.status(401).json({ message: "Invalid credentials" }); // 401 Unauthorized if password doesn't match
+    // Find the account by username
+    const account = await findAccount(username);
+
+    // Compare the provided password with the stored bcrypt hash.
+    // Unknown accounts are still checked against a dummy hash so both cases take the same time.
+    const passwordMatches = await verifyPassword(password, account?.password);
+
+    if (!account || !passwordMatches) {
+      await recordFailedLogin(attempt);
+      return next(
+        new UnauthorizedError("Invalid credentials", {
+          code: "invalid_credentials",
+        })
+      ); // 401 Unauthorized if account is not found or password doesn't match
     }
 
-    // Generate a JWT token upon successful login
-    const token = jwt.sign(
-      { userId: user.id, username: user.username },
-      process.env.JWT_SECRET,
-      { expiresIn: "7h" } // Token expires in 7 hours
-    );
+    await clearFailedLogins(attempt);
+
+    // Open a session: a short-lived JWT access token plus a refresh token to renew it
+    const session = await createSession(prisma, account, roleOf(account));
 
-    // Return the token in the response
-    return res.status(200).json({ token }); // 200 OK for successful login with the token
+    // Return the tokens in the response
+    return res.status(200).json({ ...session, expiresIn: ACCESS_TOKEN_TTL }); // 200 OK for successful login with the tokens
+  } catch (err) {
+    return next(err);
+  }
+};
+
+// POST /login - Log in a user (guest or admin) using JWT and return a token
+router.post(
+  "/",
+  validateRequest,
+  login(
+    "user",
+    (username) => prisma.user.findFirst({ where: { username, ...notDeleted } }),
+    (user) => user.role
+  )
+);
+
+// POST /login/host - Log in a host using JWT and return a token
+router.post(
+  "/host",
+  validateRequest,
+  login(
+    "host",
+    (username) => prisma.host.findFirst({ where: { username, ...notDeleted } }),
+    () => ROLES.HOST
+  )
+);
+
+// POST /login/refresh - Exchange a refresh token for a new access token and refresh token
+router.post("/refresh", validateRequest, async (req, res, next) => {
+  const { refreshToken } = req.body; // Required by openapi.yaml
+
+  try {
+    // The refresh token is rotated: the one sent here can't be used again
+    const session = await rotateSession(prisma, refreshToken);
+    return res.status(200).json({ ...session, expiresIn: ACCESS_TOKEN_TTL }); // 200 OK with the new tokens
   } catch (err) {
-    console.error(err);
-    return res.status(500).json({ message: "Server error" }); // 500 Internal Server Error for unexpected errors
+    return next(err);
   }
 });
 
@@ -0,0 +1,32 @@
+// routes/logout.js
+import express from "express";
+import { PrismaClient } from "@prisma/client";
+import { traceQueries } from "../config/sentry.js";
+import { verifyToken } from "../middleware/auth.js";
+import { revokeAllSessions, revokeSession } from "../utils/sessions.js";
+import { validateRequest } from "../middleware/validateRequest.js";
+
+const router = express.Router();
+const prisma = traceQueries(new PrismaClient());
+
+// POST /logout - End the current session; its access and refresh tokens stop working
+router.post("/", verifyToken, validateRequest, async (req, res, next) => {
+  try {
+    await revokeSession(prisma, req.user.sessionId);
+    return res.status(204).send(); // 204 No Content on successful logout
+  } catch (err) {
+    return next(err);
+  }
+});
+
+// POST /logout/all - End every session of the account, e.g. after a lost device
+router.post("/all", verifyToken, validateRequest, async (req, res, next) => {
+  try {
+    const { count } = await revokeAllSessions(prisma, req.user.id);
+    return res.status(200).json({ revokedSessions: count }); // 200 OK with the number of sessions ended
+  } catch (err) {
+    return next(err);
+  }
+});
+
+export default router;
@@ -1,238 +1,579 @@
 import express from "express";
 import { PrismaClient } from "@prisma/client";
-import { verifyToken } from "../middleware/auth.js"; // Import the JWT authentication middleware
+import { traceQueries } from "../config/sentry.js";
+import { optionalToken, requireRole, verifyToken } from "../middleware/auth.js"; // Import the JWT authentication middleware
+import {
+  canManageProperty,
+  isAdmin,
+  ownerIdFor,
+} from "../middleware/authorize.js"; // Hosts manage only their own listings
+import { ROLES } from "../utils/tokens.js";
+import { findPage, setPageHeaders } from "../utils/pagination.js";
+import { recordAudit } from "../utils/audit.js";
+import { notDeleted, ofLiveStay, restoreDeleted } from "../utils/softDelete.js";
+import { deleteWithPolicies } from "../utils/deletePolicies.js";
+import { markSaved } from "../utils/wishlists.js";
+import {
+  getAvailability,
+  parseAvailabilityRange,
+} from "../utils/availability.js";
+import {
+  buildPropertyFilters,
+  findNearbyPage,
+} from "../utils/propertySearch.js";
+import { checkCoordinates, parseNear } from "../utils/geo.js";
+import { geocodeAddress } from "../utils/geocoding.js";
+import {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+} from "../utils/errors.js";
+import { releasedReviews, reviewSelect } from "../utils/reviews.js";
+import {
+  assertAmenitiesExist,
+  parseAmenityIds,
+  propertyAmenitySelect,
+} from "../utils/amenities.js";
+import { validateRequest } from "../middleware/validateRequest.js";
 
 const router = express.Router();
-const prisma = new PrismaClient();
+const prisma = traceQueries(new PrismaClient());
 
-// GET /properties - Fetch all properties with query parameters for filtering
-router.get("/", async (req, res) => {
-  const { location, pricePerNight, amenities } = req.query;
+// Only hosts (and admins) can list properties
+const canCreateListing = requireRole(ROLES.HOST, ROLES.ADMIN);
 
-  try {
-    const filters = {};
+// Fields returned for a property
+const propertySelect = {
+  id: true,
+  title: true,
+  description: true,
+  location: true,
+  addressLine: true,
+  city: true,
+  region: true,
+  postalCode: true,
+  countryCode: true,
+  latitude: true,
+  longitude: true,
+  pricePerNight: true,
+  bedroomCount: true,
+  bathroomCount: true,
+  maxGuestCount: true,
+  rating: true,
+  reviewCount: true,
+  ratingHistogram: true,
+  hostId: true,
+  amenities: { select: propertyAmenitySelect, orderBy: { name: "asc" } },
+};
 
-    // Filter by location (case-insensitive search)
-    if (location) {
-      filters.location = { contains: location, mode: "insensitive" };
-    }
+const ADDRESS_FIELDS = [
+  "addressLine",
+  "city",
+  "region",
+  "postalCode",
+  "countryCode",
+];
 
-    // Filter by pricePerNight (exact match)
-    if (pricePerNight) {
-      filters.pricePerNight = { equals: parseFloat(pricePerNight) };
+// Address and coordinates of a listing from the request body, merged over the
+// current ones when updating. Coordinates sent by the client win; otherwise a
+// changed address is geocoded (and left empty when the geocoder doesn't know it).
+// Throws an error with status 400 for invalid values.
+const locateProperty = async (body, current = {}) => {
+  const data = {};
+  for (const field of ADDRESS_FIELDS) {
+    if (body[field] !== undefined) data[field] = body[field];
+  }
+
+  if (data.countryCode !== undefined) {
+    data.countryCode = String(data.countryCode).toUpperCase();
+    if (!/^[A-Z]{2}$/.test(data.countryCode)) {
+      throw new BadRequestError("countryCode must be a 2-letter ISO code");
     }
+  }
 
-    // Filter by amenities (multiple amenities can be provided, comma-separated)
-    if (amenities) {
-      const amenitiesArray = amenities.split(",");
-      filters.amenities = {
-        some: {
-          name: { in: amenitiesArray },
-        },
-      };
+  if (body.latitude !== undefined || body.longitude !== undefined) {
+    const latitude = Number(body.latitude);
+    const longitude = Number(body.longitude);
+    const invalid =
+      body.latitude === undefined || body.longitude === undefined
+        ? "Latitude and longitude must be sent together"
+        : checkCoordinates(latitude, longitude);
+    if (invalid) {
+      throw new BadRequestError(invalid);
     }
+    return { ...data, latitude, longitude };
+  }
 
-    const properties = await prisma.property.findMany({
-      where: filters,
-      select: {
-        id: true,
-        title: true,
-        description: true,
-        location: true,
-        pricePerNight: true,
-        bedroomCount: true,
-        bathroomCount: true,
-        maxGuestCount: true,
-        rating: true,
-        hostId: true,
-        createdAt: true,
-      },
-    });
+  if (Object.keys(data).length === 0 && body.location === undefined) {
+    return data; // Address unchanged, keep the coordinates
+  }
+
+  const coordinates = await geocodeAddress({
+    ...current,
+    ...data,
+    location: body.location ?? current.location,
+  });
+  return {
+    ...data,
+    latitude: coordinates?.latitude ?? null,
+    longitude: coordinates?.longitude ?? null,
+  };
+};
+
+// GET /properties - Fetch all properties with query parameters for filtering
+// (location, pricePerNight, minPrice, maxPrice, guests, minBedrooms, minBathrooms,
+// minRating, hostId, amenities, checkin/checkout availability, bbox and near/radiusKm).
+// A logged-in guest also sees whether they saved each property in a wishlist.
+router.get("/", optionalToken, validateRequest, async (req, res, next) => {
+  try {
+    const filters = buildPropertyFilters(req.query);
+    const near = parseNear(req.query);
+
+    // One page of the matching properties, see utils/pagination.js for the query options.
+    // A near search is sorted by distance instead.
+    const page = near
+      ? await findNearbyPage(prisma, req.query, {
+          where: filters,
+          select: propertySelect,
+          near,
+        })
+      : await findPage(prisma.property, req.query, {
+          where: filters,
+          select: propertySelect,
+        });
 
-    return res.status(200).json(properties); // 200 OK for successful retrieval
+    setPageHeaders(req, res, page);
+    return res.status(200).json(await markSaved(prisma, req.user, page.items)); // 200 OK for successful retrieval
   } catch (err) {
-    console.error(err);
-    return res.status(500).json({ message: "Server error" }); // 500 Internal Server Error
+    return next(err);
   }
 });
 
 // POST /properties - Create a new property
 // Apply JWT authentication middleware to this route
-router.post("/", verifyToken, async (req, res) => {
-  const {
-    title,
-    description,
-    location,
-    pricePerNight,
-    bedroomCount,
-    bathroomCount,
-    maxGuestCount,
-    rating,
-    hostId,
-  } = req.body;
-
-  if (
-    !title ||
-    !description ||
-    !location ||
-    !pricePerNight ||
-    !bedroomCount ||
-    !bathroomCount ||
-    !maxGuestCount ||
-    !rating ||
-    !hostId
-  ) {
-    return res.status(400).json({ message: "All fields are required" }); // 400 Bad Request for missing fields
-  }
+// Hosts list properties for themselves (hostId defaults to theirs), admins for any host
+router.post(
+  "/",
+  verifyToken,
+  canCreateListing,
+  validateRequest,
+  async (req, res, next) => {
+    const {
+      title,
+      description,
+      location,
+      pricePerNight,
+      bedroomCount,
+      bathroomCount,
+      maxGuestCount,
+    } = req.body; // The rating is derived from reviews, a rating sent by the client is ignored
 
-  try {
-    // Check if the host exists before creating the property
-    const hostExists = await prisma.host.findUnique({
-      where: { id: hostId },
-    });
+    const hostId = ownerIdFor(req.user, req.body.hostId);
+    if (hostId === null) {
+      return next(
+        new ForbiddenError("You can only create listings for yourself")
+      ); // 403 Forbidden
+    }
 
-    if (!hostExists) {
-      return res.status(404).json({ message: "Host not found" }); // 404 Not Found if host doesn't exist
+    // The other fields are checked against openapi.yaml by validateRequest; admins must name the host
+    if (!hostId) {
+      return next(new BadRequestError("hostId is required")); // 400 Bad Request for a missing host
     }
 
-    // Create the new property
-    const newProperty = await prisma.property.create({
-      data: {
-        title,
-        description,
-        location,
-        pricePerNight,
-        bedroomCount,
-        bathroomCount,
-        maxGuestCount,
-        rating,
-        hostId,
-      },
-    });
+    try {
+      // Check if the host exists before creating the property
+      const hostExists = await prisma.host.findFirst({
+        where: { id: hostId, ...notDeleted },
+      });
 
-    return res.status(201).json(newProperty); // 201 Created for successfully creating a new property
-  } catch (err) {
-    console.error(err);
-    return res.status(500).json({ message: "Server error" }); // 500 Internal Server Error
+      if (!hostExists) {
+        return next(new NotFoundError("Host not found")); // 404 Not Found if host doesn't exist
+      }
+
+      // Structured address and coordinates, geocoded when not sent
+      const place = await locateProperty(req.body);
+
+      // Amenities to link right away, optional
+      const amenityIds =
+        req.body.amenityIds === undefined
+          ? []
+          : parseAmenityIds(req.body.amenityIds);
+      await assertAmenitiesExist(prisma, amenityIds);
+
+      // Create the new property
+      const newProperty = await prisma.$transaction(async (tx) => {
+        const created = await tx.property.create({
+          data: {
+            title,
+            description,
+            location,
+            ...place,
+            pricePerNight,
+            bedroomCount,
+            bathroomCount,
+            maxGuestCount,
+            hostId,
+            amenities: {
+              connect: amenityIds.map((amenityId) => ({ id: amenityId })),
+            },
+          },
+          include: { amenities: { select: propertyAmenitySelect } },
+        });
+        const { amenities, ...fields } = created;
+        await recordAudit(tx, req, {
+          entity: "Property",
+          after: { ...fields, ...auditedAmenities(amenities) },
+        });
+        return created;
+      });
+
+      return res.status(201).json(newProperty); // 201 Created for successfully creating a new property
+    } catch (err) {
+      return next(err);
+    }
   }
-});
+);
 
 // GET /properties/:id - Fetch a single property by id
-router.get("/:id", async (req, res) => {
+router.get("/:id", validateRequest, async (req, res, next) => {
   const { id } = req.params;
 
   try {
-    const property = await prisma.property.findUnique({
-      where: { id },
-      select: {
-        id: true,
-        title: true,
-        description: true,
-        location: true,
-        pricePerNight: true,
-        bedroomCount: true,
-        bathroomCount: true,
-        maxGuestCount: true,
-        rating: true,
-        hostId: true,
-        createdAt: true,
-      },
+    const property = await prisma.property.findFirst({
+      where: { id, ...notDeleted },
+      select: propertySelect,
     });
 
     if (!property) {
-      return res.status(404).json({ message: "Property not found" }); // 404 Not Found if property doesn't exist
+      return next(new NotFoundError("Property not found")); // 404 Not Found if property doesn't exist
     }
 
     return res.status(200).json(property); // 200 OK for successful retrieval of the property
   } catch (err) {
-    console.error(err);
-    return res.status(500).json({ message: "Server error" }); // 500 Internal Server Error
+    return next(err);
   }
 });
 
-// PUT /properties/:id - Update a property by id
-// Apply JWT authentication middleware to this route
-router.put("/:id", verifyToken, async (req, res) => {
+// GET /properties/:id/reviews - Published reviews of a property, paginated like the other lists
+router.get("/:id/reviews", validateRequest, async (req, res, next) => {
   const { id } = req.params;
-  const {
-    title,
-    description,
-    location,
-    pricePerNight,
-    bedroomCount,
-    bathroomCount,
-    maxGuestCount,
-    rating,
-    hostId,
-  } = req.body;
-
-  if (
-    !title &&
-    !description &&
-    !location &&
-    !pricePerNight &&
-    !bedroomCount &&
-    !bathroomCount &&
-    !maxGuestCount &&
-    !rating &&
-    !hostId
-  ) {
-    return res.status(400).json({
-      message:
-        "At least one field (title, description, location, pricePerNight, bedroomCount, bathroomCount, maxGuestCount, rating, or hostId) is required", // 400 Bad Request for missing fields
-    });
-  }
 
   try {
-    const property = await prisma.property.findUnique({ where: { id } });
+    const property = await prisma.property.findFirst({
+      where: { id, ...notDeleted },
+      select: { id: true },
+    });
 
     if (!property) {
-      return res.status(404).json({ message: "Property not found" }); // 404 Not Found if property doesn't exist
+      return next(new NotFoundError("Property not found")); // 404 Not Found if property doesn't exist
     }
 
-    const updatedData = {};
-    if (title) updatedData.title = title;
-    if (description) updatedData.description = description;
-    if (location) updatedData.location = location;
-    if (pricePerNight) updatedData.pricePerNight = pricePerNight;
-    if (bedroomCount) updatedData.bedroomCount = bedroomCount;
-    if (bathroomCount) updatedData.bathroomCount = bathroomCount;
-    if (maxGuestCount) updatedData.maxGuestCount = maxGuestCount;
-    if (rating) updatedData.rating = rating;
-    if (hostId) updatedData.hostId = hostId;
-
-    const updatedProperty = await prisma.property.update({
-      where: { id },
-      data: updatedData,
+    const page = await findPage(prisma.review, req.query, {
+      where: { propertyId: id, ...releasedReviews, ...ofLiveStay },
+      select: reviewSelect,
     });
 
-    return res.status(200).json(updatedProperty); // 200 OK for successful update
+    setPageHeaders(req, res, page);
+    return res.status(200).json(page.items); // 200 OK with one page of reviews
   } catch (err) {
-    console.error(err);
-    return res.status(500).json({ message: "Server error" }); // 500 Internal Server Error
+    return next(err);
   }
 });
 
-// DELETE /properties/:id - Delete a property by id
-// Apply JWT authentication middleware to this route
-router.delete("/:id", verifyToken, async (req, res) => {
+// GET /properties/:id/availability - Booked and free date ranges of a property
+// Optional ?from=&to= window, defaults to the next 30 days
+router.get("/:id/availability", validateRequest, async (req, res, next) => {
   const { id } = req.params;
 
   try {
-    const deletedProperty = await prisma.property.delete({
-      where: { id },
+    const range = parseAvailabilityRange(req.query); // 400 Bad Request for an invalid window
+
+    const property = await prisma.property.findFirst({
+      where: { id, ...notDeleted },
+      select: { id: true },
     });
 
+    if (!property) {
+      return next(new NotFoundError("Property not found")); // 404 Not Found if property doesn't exist
+    }
+
+    const { booked, available } = await getAvailability(prisma, id, range);
+
     return res.status(200).json({
-      message: `Property ${deletedProperty.title} deleted successfully`, // 200 OK for successful deletion
+      propertyId: id,
+      from: range.from,
+      to: range.to,
+      booked,
+      available,
+    }); // 200 OK with the calendar for the requested window
+  } catch (err) {
+    return next(err);
+  }
+});
+
+// The amenities of a property, or null when the property doesn't exist
+const findPropertyAmenities = async (id, client = prisma) => {
+  const property = await client.property.findFirst({
+    where: { id, ...notDeleted },
+    select: {
+      amenities: { select: propertyAmenitySelect, orderBy: { name: "asc" } },
+    },
+  });
+  return property && property.amenities;
+};
+
+// The amenities of a property as the audit log records them
+const auditedAmenities = (amenities) => ({
+  amenityIds: amenities.map((amenity) => amenity.id),
+});
+
+// Change the amenities of the property with the given id and log it, returns them
+const updateAmenities = (req, id, before, amenities) =>
+  prisma.$transaction(async (tx) => {
+    await tx.property.update({ where: { id }, data: { amenities } });
+    const after = await findPropertyAmenities(id, tx);
+    await recordAudit(tx, req, {
+      entity: "Property",
+      before: { id, ...auditedAmenities(before) },
+      after: { id, ...auditedAmenities(after) },
     });
+    return after;
+  });
+
+// Link or unlink amenities of the property at req.params.id with the amenityIds of the body.
+// toRelation turns the ids into the Prisma relation update, e.g. a set or a connect.
+const changeAmenities = async (req, res, next, toRelation) => {
+  const { id } = req.params;
+
+  try {
+    const amenityIds = parseAmenityIds(req.body.amenityIds);
+
+    const amenities = await findPropertyAmenities(id);
+    if (!amenities) {
+      return next(new NotFoundError("Property not found")); // 404 Not Found if property doesn't exist
+    }
+
+    await assertAmenitiesExist(prisma, amenityIds);
+    const changed = await updateAmenities(
+      req,
+      id,
+      amenities,
+      toRelation(amenityIds.map((amenityId) => ({ id: amenityId })))
+    );
+
+    return res.status(200).json(changed); // 200 OK with the amenities of the property
   } catch (err) {
-    console.error(err);
-    if (err.code === "P2025") {
-      return res.status(404).json({ message: "Property not found" }); // 404 Not Found if property doesn't exist
+    return next(err);
+  }
+};
+
+// GET /properties/:id/amenities - The amenities of a property
+router.get("/:id/amenities", validateRequest, async (req, res, next) => {
+  try {
+    const amenities = await findPropertyAmenities(req.params.id);
+
+    if (!amenities) {
+      return next(new NotFoundError("Property not found")); // 404 Not Found if property doesn't exist
     }
-    return res.status(500).json({ message: "Server error" }); // 500 Internal Server Error
+
+    return res.status(200).json(amenities); // 200 OK with the amenities of the property
+  } catch (err) {
+    return next(err);
   }
 });
 
+// PUT /properties/:id/amenities - Replace all amenities of a property ({ amenityIds: [] } removes them all)
+// Apply JWT authentication middleware to this route
+router.put(
+  "/:id/amenities",
+  verifyToken,
+  canManageProperty,
+  validateRequest,
+  (req, res, next) =>
+    changeAmenities(req, res, next, (amenities) => ({ set: amenities }))
+);
+
+// POST /properties/:id/amenities - Add amenities to a property, keeping the ones it has
+// Apply JWT authentication middleware to this route
+router.post(
+  "/:id/amenities",
+  verifyToken,
+  canManageProperty,
+  validateRequest,
+  (req, res, next) =>
+    changeAmenities(req, res, next, (amenities) => ({ connect: amenities }))
+);
+
+// DELETE /properties/:id/amenities/:amenityId - Remove one amenity from a property
+// Apply JWT authentication middleware to this route
+router.delete(
+  "/:id/amenities/:amenityId",
+  verifyToken,
+  canManageProperty,
+  validateRequest,
+  async (req, res, next) => {
+    const { id, amenityId } = req.params;
+
+    try {
+      const amenities = await findPropertyAmenities(id);
+
+      if (!amenities) {
+        return next(new NotFoundError("Property not found")); // 404 Not Found if property doesn't exist
+      }
+
+      if (!amenities.some((amenity) => amenity.id === amenityId)) {
+        return next(
+          new NotFoundError("This property doesn't have that amenity")
+        ); // 404 Not Found if the amenity isn't linked
+      }
+
+      const remaining = await updateAmenities(req, id, amenities, {
+        disconnect: { id: amenityId },
+      });
+
+      return res.status(200).json(remaining); // 200 OK with the remaining amenities
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+// PUT /properties/:id - Update a property by id
+// Apply JWT authentication middleware to this route
+router.put(
+  "/:id",
+  verifyToken,
+  canManageProperty,
+  validateRequest,
+  async (req, res, next) => {
+    const { id } = req.params;
+    const {
+      title,
+      description,
+      location,
+      pricePerNight,
+      bedroomCount,
+      bathroomCount,
+      maxGuestCount,
+      hostId,
+    } = req.body; // The rating is derived from reviews, a rating sent by the client is ignored
+
+    // Handing a listing over to another host is up to admins
+    if (hostId !== undefined && !isAdmin(req.user)) {
+      return next(
+        new ForbiddenError("Only admins can change the host of a listing")
+      ); // 403 Forbidden
+    }
+
+    try {
+      const property = await prisma.property.findFirst({
+        where: { id, ...notDeleted },
+      });
+
+      if (!property) {
+        return next(new NotFoundError("Property not found")); // 404 Not Found if property doesn't exist
+      }
+
+      const updatedData = {};
+      if (title !== undefined) updatedData.title = title;
+      if (description !== undefined) updatedData.description = description;
+      if (location !== undefined) updatedData.location = location;
+      if (pricePerNight !== undefined)
+        updatedData.pricePerNight = pricePerNight;
+      if (bedroomCount !== undefined) updatedData.bedroomCount = bedroomCount;
+      if (bathroomCount !== undefined)
+        updatedData.bathroomCount = bathroomCount;
+      if (maxGuestCount !== undefined)
+        updatedData.maxGuestCount = maxGuestCount;
+      if (hostId !== undefined) updatedData.hostId = hostId;
+      Object.assign(updatedData, await locateProperty(req.body, property));
+
+      const updatedProperty = await prisma.$transaction(async (tx) => {
+        const updated = await tx.property.update({
+          where: { id },
+          data: updatedData,
+        });
+        await recordAudit(tx, req, {
+          entity: "Property",
+          before: property,
+          after: updated,
+        });
+        return updated;
+      });
+
+      return res.status(200).json(updatedProperty); // 200 OK for successful update
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+// DELETE /properties/:id - Soft delete a property by id. Its upcoming bookings are
+// cancelled, a stay in progress blocks the delete (409).
+// ?dryRun=true only reports what would happen, see utils/deletePolicies.js
+// Apply JWT authentication middleware to this route
+router.delete(
+  "/:id",
+  verifyToken,
+  canManageProperty,
+  validateRequest,
+  async (req, res, next) => {
+    const { id } = req.params;
+    const dryRun = req.query.dryRun === "true";
+
+    try {
+      const { plan, record } = await prisma.$transaction((tx) =>
+        deleteWithPolicies(tx, req, { entity: "Property", id, dryRun })
+      );
+
+      return res.status(200).json({
+        message: dryRun
+          ? `Dry run, property ${record.title} was not deleted`
+          : `Property ${record.title} deleted successfully`, // 200 OK for successful deletion
+        dryRun,
+        ...plan,
+      });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+// POST /properties/:id/restore - Undo the deletion of a property (admins only)
+router.post(
+  "/:id/restore",
+  verifyToken,
+  requireRole(ROLES.ADMIN),
+  validateRequest,
+  async (req, res, next) => {
+    const { id } = req.params;
+
+    try {
+      const restoredProperty = await prisma.$transaction(async (tx) => {
+        const property = await tx.property.findUnique({
+          where: { id },
+          select: { host: { select: { deletedAt: true } } },
+        });
+        if (property?.host.deletedAt) {
+          throw new ConflictError(
+            "The host of this property is deleted, restore the host first",
+            { code: "host_deleted" }
+          ); // 409 Conflict, a listing can't be back without its host
+        }
+
+        return restoreDeleted(tx, req, {
+          model: "property",
+          entity: "Property",
+          id,
+        });
+      });
+
+      return res.status(200).json(restoredProperty); // 200 OK with the restored property
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
 export default router;
@@ -0,0 +1,81 @@
+// routes/register.js
+import express from "express";
+import { PrismaClient } from "@prisma/client";
+import { traceQueries } from "../config/sentry.js";
+import { checkPasswordStrength, hashPassword } from "../utils/passwords.js";
+import { createSession } from "../utils/sessions.js";
+import { ACCESS_TOKEN_TTL, ROLES } from "../utils/tokens.js";
+import { BadRequestError } from "../utils/errors.js";
+import { validateRequest } from "../middleware/validateRequest.js";
+import { recordAudit } from "../utils/audit.js";
+import { assertAccountAvailable, normalizeEmail } from "../utils/accounts.js";
+
+const router = express.Router();
+const prisma = traceQueries(new PrismaClient());
+
+// Accounts that can sign up themselves. Admins are only created by other admins.
+const ACCOUNT_TYPES = {
+  guest: { model: "user", entity: "User", role: ROLES.GUEST },
+  host: { model: "host", entity: "Host", role: ROLES.HOST },
+};
+
+// POST /register - Sign up as a guest or a host and get logged in right away
+// The account type, required fields, username pattern and email format were already
+// checked by validateRequest, see Registration in openapi.yaml
+router.post("/", validateRequest, async (req, res, next) => {
+  const {
+    accountType = "guest",
+    username,
+    password,
+    name,
+    phoneNumber,
+  } = req.body;
+  const email = normalizeEmail(req.body.email);
+
+  const weakPassword = checkPasswordStrength(password, { username, email });
+  if (weakPassword) {
+    return next(new BadRequestError(weakPassword)); // 400 Bad Request for a weak password
+  }
+
+  const { model, entity, role } = ACCOUNT_TYPES[accountType];
+
+  try {
+    await assertAccountAvailable(prisma, model, { username, email }); // 409 Conflict if username or email exists
+
+    const hashedPassword = await hashPassword(password); // Only the bcrypt hash is stored
+    const account = await prisma.$transaction(async (tx) => {
+      const created = await tx[model].create({
+        data: {
+          username,
+          email,
+          password: hashedPassword,
+          name,
+          phoneNumber,
+          profilePicture: req.body.profilePicture,
+          ...(accountType === "host" && { aboutMe: req.body.aboutMe }),
+        },
+      });
+      // Nobody is logged in yet, the new account signed itself up
+      await recordAudit(tx, req, {
+        entity,
+        after: created,
+        actor: { id: created.id, role },
+      });
+      return created;
+    });
+
+    // Log the new account in
+    const session = await createSession(prisma, account, role);
+
+    const { password: _, ...accountWithoutPassword } = account; // Exclude password from the response
+    return res.status(201).json({
+      account: { ...accountWithoutPassword, role },
+      ...session,
+      expiresIn: ACCESS_TOKEN_TTL,
+    }); // 201 Created with the new account and its tokens
+  } catch (err) {
+    return next(err); // A concurrent registration that took the username or email first gets a 409 too
+  }
+});
+
+export default router;
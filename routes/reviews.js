@@ -1,160 +1,285 @@
 import express from "express";
 import { PrismaClient } from "@prisma/client";
-import { verifyToken } from "../middleware/auth.js"; // Import the JWT authentication middleware
+import { traceQueries } from "../config/sentry.js";
+import { requireRole, verifyToken } from "../middleware/auth.js"; // Import the JWT authentication middleware
+import {
+  canManageReview,
+  canReplyToReview,
+  isAdmin,
+} from "../middleware/authorize.js"; // Guests manage only their own reviews, hosts answer those of their listings
+import { ROLES } from "../utils/tokens.js";
+import { findPage, setPageHeaders } from "../utils/pagination.js";
+import { recordAudit } from "../utils/audit.js";
+import { refreshPropertyRating } from "../utils/ratings.js";
+import {
+  assertBookingReviewable,
+  assertReviewEditable,
+  findBookingForReview,
+  releasedReviews,
+  releaseStayReviews,
+  reviewSelect,
+} from "../utils/reviews.js";
+import {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+} from "../utils/errors.js";
+import { ofLiveStay } from "../utils/softDelete.js";
+import { validateRequest } from "../middleware/validateRequest.js";
 
 const router = express.Router();
-const prisma = new PrismaClient();
+const prisma = traceQueries(new PrismaClient());
 
-// GET /reviews - Fetch all reviews
-router.get("/", async (req, res) => {
+// Only guests (and admins) write reviews
+const canReview = requireRole(ROLES.GUEST, ROLES.ADMIN);
+
+// Hosts (and admins) answer them
+const canReply = requireRole(ROLES.HOST, ROLES.ADMIN);
+
+// GET /reviews - Fetch all published reviews
+router.get("/", validateRequest, async (req, res, next) => {
   try {
-    const reviews = await prisma.review.findMany({
-      select: {
-        id: true,
-        rating: true,
-        comment: true,
-        userId: true,
-        propertyId: true,
-        createdAt: true,
-      },
+    const page = await findPage(prisma.review, req.query, {
+      where: { ...releasedReviews, ...ofLiveStay },
+      select: reviewSelect,
     });
 
-    return res.status(200).json(reviews); // 200 OK for successful retrieval
+    setPageHeaders(req, res, page);
+    return res.status(200).json(page.items); // 200 OK for successful retrieval
   } catch (err) {
-    console.error(err);
-    return res.status(500).json({ message: "Server error" }); // 500 Internal Server Error
+    return next(err);
   }
 });
 
-// POST /reviews - Create a new review
+// POST /reviews - Review a stay
 // Apply JWT authentication middleware to this route
-router.post("/", verifyToken, async (req, res) => {
-  const { rating, comment, userId, propertyId } = req.body;
+// Only the guest of the booking (or an admin) can review it, once, between
+// checkout and the end of the review window. The review stays hidden until the
+// host reviewed the guest too, or until the review window closes.
+router.post(
+  "/",
+  verifyToken,
+  canReview,
+  validateRequest,
+  async (req, res, next) => {
+    const { bookingId, rating, comment } = req.body; // A rating from 1 to 5, see ReviewCreate in openapi.yaml
 
-  if (!rating || !comment || !userId || !propertyId) {
-    return res.status(400).json({
-      message: "Rating, comment, user ID, and property ID are required", // 400 Bad Request for missing fields
-    });
-  }
+    try {
+      // Create the review, and publish it right away when the host already reviewed the guest
+      const newReview = await prisma.$transaction(async (tx) => {
+        const booking = await findBookingForReview(tx, bookingId);
+        if (!booking) {
+          throw new NotFoundError("Booking not found");
+        }
 
-  try {
-    // Check if the user exists
-    const userExists = await prisma.user.findUnique({ where: { id: userId } });
-    if (!userExists) {
-      return res.status(404).json({ message: "User not found" }); // 404 Not Found if user does not exist
-    }
+        if (!isAdmin(req.user) && booking.userId !== req.user.id) {
+          throw new ForbiddenError("Only the guest of this stay can review it");
+        }
 
-    // Check if the property exists
-    const propertyExists = await prisma.property.findUnique({
-      where: { id: propertyId },
-    });
-    if (!propertyExists) {
-      return res.status(404).json({ message: "Property not found" }); // 404 Not Found if property does not exist
-    }
+        // Checked on the booking, not on its review: deleting the review doesn't free the stay
+        assertBookingReviewable(booking, booking.reviewedAt);
 
-    // Create the new review
-    const newReview = await prisma.review.create({
-      data: {
-        rating,
-        comment,
-        userId,
-        propertyId,
-      },
-    });
+        // The author and property come from the booking, not from the request
+        const review = await tx.review.create({
+          data: {
+            rating,
+            comment,
+            bookingId,
+            userId: booking.userId,
+            propertyId: booking.propertyId,
+          },
+        });
+        await tx.booking.update({
+          where: { id: bookingId },
+          data: { reviewedAt: review.createdAt },
+        });
+        await recordAudit(tx, req, { entity: "Review", after: review });
+        await releaseStayReviews(tx, bookingId);
+        return tx.review.findUnique({
+          where: { id: review.id },
+          select: reviewSelect,
+        });
+      });
 
-    return res.status(201).json(newReview); // 201 Created for successfully creating a new review
-  } catch (err) {
-    console.error(err);
-    return res.status(500).json({ message: "Server error" }); // 500 Internal Server Error
+      return res.status(201).json(newReview); // 201 Created for successfully creating a new review
+    } catch (err) {
+      return next(err); // Two reviews of the same stay racing each other get a 409 too
+    }
   }
-});
+);
 
 // GET /reviews/:id - Fetch a single review by id
-router.get("/:id", async (req, res) => {
+router.get("/:id", validateRequest, async (req, res, next) => {
   const { id } = req.params;
 
   try {
-    const review = await prisma.review.findUnique({
-      where: { id },
-      select: {
-        id: true,
-        rating: true,
-        comment: true,
-        userId: true,
-        propertyId: true,
-        createdAt: true,
-      },
+    const review = await prisma.review.findFirst({
+      where: { id, ...releasedReviews, ...ofLiveStay },
+      select: reviewSelect,
     });
 
+    // Hidden reviews aren't shown until they are published
     if (!review) {
-      return res.status(404).json({ message: "Review not found" }); // 404 Not Found if review doesn't exist
+      return next(new NotFoundError("Review not found")); // 404 Not Found if review doesn't exist
     }
 
     return res.status(200).json(review); // 200 OK for successful retrieval of the review
   } catch (err) {
-    console.error(err);
-    return res.status(500).json({ message: "Server error" }); // 500 Internal Server Error
+    return next(err);
   }
 });
 
-// PUT /reviews/:id - Update a review by id
+// POST /reviews/:id/reply - The host of the property answers a published review, once
 // Apply JWT authentication middleware to this route
-router.put("/:id", verifyToken, async (req, res) => {
-  const { id } = req.params;
-  const { rating, comment, userId, propertyId } = req.body;
+router.post(
+  "/:id/reply",
+  verifyToken,
+  canReply,
+  canReplyToReview,
+  validateRequest,
+  async (req, res, next) => {
+    const { id } = req.params;
+    const { reply } = req.body;
 
-  if (!rating && !comment && !userId && !propertyId) {
-    return res.status(400).json({
-      message:
-        "At least one field (rating, comment, userId, propertyId) is required", // 400 Bad Request if no fields provided
-    });
+    try {
+      const review = await prisma.review.findFirst({
+        where: { id, ...releasedReviews },
+      });
+
+      if (!review) {
+        return next(new NotFoundError("Review not found")); // 404 Not Found if review doesn't exist or isn't published yet
+      }
+
+      const answeredReview = await prisma.$transaction(async (tx) => {
+        // Only set the reply when there is none yet, so two replies can't race each other
+        const { count } = await tx.review.updateMany({
+          where: { id, hostReply: null },
+          data: { hostReply: reply, hostRepliedAt: new Date() },
+        });
+
+        if (!count) {
+          throw new ConflictError("This review has already been answered", {
+            code: "already_answered",
+          }); // 409 Conflict for a second reply
+        }
+
+        const answered = await tx.review.findUnique({ where: { id } });
+        await recordAudit(tx, req, {
+          entity: "Review",
+          before: review,
+          after: answered,
+        });
+        return tx.review.findUnique({ where: { id }, select: reviewSelect });
+      });
+      return res.status(201).json(answeredReview); // 201 Created with the answered review
+    } catch (err) {
+      return next(err);
+    }
   }
+);
 
-  try {
-    const review = await prisma.review.findUnique({ where: { id } });
+// PUT /reviews/:id - Update the rating or comment of a review by id
+// Apply JWT authentication middleware to this route
+router.put(
+  "/:id",
+  verifyToken,
+  canManageReview,
+  validateRequest,
+  async (req, res, next) => {
+    const { id } = req.params;
+    const { rating, comment } = req.body;
 
-    if (!review) {
-      return res.status(404).json({ message: "Review not found" }); // 404 Not Found if review doesn't exist
+    // A review belongs to its stay, so who wrote it and about what can't change
+    if (
+      ["bookingId", "userId", "propertyId"].some((field) => field in req.body)
+    ) {
+      return next(
+        new BadRequestError(
+          "Only the rating and comment of a review can be changed"
+        )
+      ); // 400 Bad Request for read-only fields
     }
 
-    const updatedData = {};
-    if (rating) updatedData.rating = rating;
-    if (comment) updatedData.comment = comment;
-    if (userId) updatedData.userId = userId;
-    if (propertyId) updatedData.propertyId = propertyId;
+    try {
+      const found = await prisma.review.findUnique({
+        where: { id },
+        include: { booking: { select: { checkoutDate: true } } },
+      });
 
-    const updatedReview = await prisma.review.update({
-      where: { id },
-      data: updatedData,
-    });
+      if (!found) {
+        return next(new NotFoundError("Review not found")); // 404 Not Found if review doesn't exist
+      }
 
-    return res.status(200).json(updatedReview); // 200 OK for successful update
-  } catch (err) {
-    console.error(err);
-    return res.status(500).json({ message: "Server error" }); // 500 Internal Server Error
+      const { booking, ...review } = found;
+      assertReviewEditable(review, booking); // 409 once published or after the review window
+
+      const updatedData = {};
+      if (rating !== undefined) updatedData.rating = rating;
+      if (comment !== undefined) updatedData.comment = comment;
+
+      // Update the review and the rating of its property
+      const updatedReview = await prisma.$transaction(async (tx) => {
+        const updated = await tx.review.update({
+          where: { id },
+          data: updatedData,
+        });
+        await recordAudit(tx, req, {
+          entity: "Review",
+          before: review,
+          after: updated,
+        });
+        await refreshPropertyRating(tx, updated.propertyId);
+        return updated;
+      });
+
+      return res.status(200).json(updatedReview); // 200 OK for successful update
+    } catch (err) {
+      return next(err);
+    }
   }
-});
+);
 
 // DELETE /reviews/:id - Delete a review by id
 // Apply JWT authentication middleware to this route
-router.delete("/:id", verifyToken, async (req, res) => {
-  const { id } = req.params;
+router.delete(
+  "/:id",
+  verifyToken,
+  canManageReview,
+  validateRequest,
+  async (req, res, next) => {
+    const { id } = req.params;
 
-  try {
-    const deletedReview = await prisma.review.delete({
-      where: { id },
-    });
+    try {
+      const found = await prisma.review.findUnique({
+        where: { id },
+        include: { booking: { select: { checkoutDate: true } } },
+      });
 
-    return res.status(200).json({
-      message: `Review with ID ${deletedReview.id} deleted successfully`, // 200 OK for successful deletion
-    });
-  } catch (err) {
-    console.error(err);
-    if (err.code === "P2025") {
-      return res.status(404).json({ message: "Review not found" }); // 404 Not Found if review doesn't exist
+      if (!found) {
+        return next(new NotFoundError("Review not found")); // 404 Not Found if review doesn't exist
+      }
+
+      // Like changing it, a guest can't take a review back once published or after the
+      // review window; only admins can (e.g. to moderate it)
+      const { booking, ...review } = found;
+      if (!isAdmin(req.user)) assertReviewEditable(review, booking);
+
+      // Delete the review and take it out of the property's rating
+      const deletedReview = await prisma.$transaction(async (tx) => {
+        const deleted = await tx.review.delete({ where: { id } });
+        await recordAudit(tx, req, { entity: "Review", before: deleted });
+        await refreshPropertyRating(tx, deleted.propertyId);
+        return deleted;
+      });
+
+      return res.status(200).json({
+        message: `Review with ID ${deletedReview.id} deleted successfully`, // 200 OK for successful deletion
+      });
+    } catch (err) {
+      return next(err);
     }
-    return res.status(500).json({ message: "Server error" }); // 500 Internal Server Error
   }
-});
+);
 
 export default router;
@@ -1,16 +1,46 @@
 import express from "express";
 import { PrismaClient } from "@prisma/client";
-import { verifyToken } from "../middleware/auth.js"; // JWT authentication middleware
+import { traceQueries } from "../config/sentry.js";
+import { optionalToken, requireRole, verifyToken } from "../middleware/auth.js"; // JWT authentication middleware
+import { canManageUser, isAdmin } from "../middleware/authorize.js"; // Only the account itself or an admin
+import { checkPasswordStrength, hashPassword } from "../utils/passwords.js";
+import { ROLES } from "../utils/tokens.js";
+import { findPage, setPageHeaders } from "../utils/pagination.js";
+import { recordAudit } from "../utils/audit.js";
+import { assertAccountAvailable, normalizeEmail } from "../utils/accounts.js";
+import { revokeOtherSessions } from "../utils/sessions.js";
+import {
+  notDeleted,
+  refreshRatingsReviewedBy,
+  restoreDeleted,
+} from "../utils/softDelete.js";
+import { deleteWithPolicies } from "../utils/deletePolicies.js";
+import {
+  matchesShareToken,
+  newShareToken,
+  toSharedWishlist,
+  toWishlist,
+  wishlistSelect,
+} from "../utils/wishlists.js";
+import {
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError,
+} from "../utils/errors.js";
+import { validateRequest } from "../middleware/validateRequest.js";
 
 const router = express.Router();
-const prisma = new PrismaClient();
+const prisma = traceQueries(new PrismaClient());
+
+// Creating accounts for someone else is an admin task; people sign up through POST /register
+const adminOnly = requireRole(ROLES.ADMIN);
 
 // GET /users - Fetch all users, optionally filter by username or email
-router.get("/", async (req, res) => {
+router.get("/", validateRequest, async (req, res, next) => {
   const { username, email } = req.query;
 
   try {
-    const filters = {};
+    const filters = { ...notDeleted };
 
     if (username) {
       filters.username = { contains: username, mode: "insensitive" }; // Case-insensitive filter for username
@@ -20,159 +50,543 @@ router.get("/", async (req, res) => {
       filters.email = { contains: email, mode: "insensitive" }; // Case-insensitive filter for email
     }
 
-    const users = await prisma.user.findMany({
+    const page = await findPage(prisma.user, req.query, {
       where: filters,
       select: {
         id: true,
         username: true,
         email: true,
+        reputation: true,
+        guestReviewCount: true,
       },
     });
 
-    return res.status(200).json(users); // Success response
+    setPageHeaders(req, res, page);
+    return res.status(200).json(page.items); // Success response
   } catch (err) {
-    console.error(err);
-    return res.status(500).json({ message: "Server error" }); // Internal server error
+    return next(err);
   }
 });
 
 // GET /users/:id - Fetch a single user by ID
-router.get("/:id", async (req, res) => {
+router.get("/:id", validateRequest, async (req, res, next) => {
   const { id } = req.params;
 
   try {
-    const user = await prisma.user.findUnique({
-      where: { id },
+    const user = await prisma.user.findFirst({
+      where: { id, ...notDeleted },
       select: {
         id: true,
         username: true,
         email: true,
+        reputation: true,
+        guestReviewCount: true,
       },
     });
 
     if (!user) {
-      return res.status(404).json({ message: "User not found" }); // User not found
+      return next(new NotFoundError("User not found")); // User not found
     }
 
     return res.status(200).json(user); // Success response
   } catch (err) {
-    console.error(err);
-    return res.status(500).json({ message: "Server error" }); // Internal server error
+    return next(err);
   }
 });
 
-// POST /users - Create a new user
-router.post("/", verifyToken, async (req, res) => {
-  const { username, email, password, name, phoneNumber, profilePicture } =
-    req.body;
+// POST /users - Create a new user (admins only), optionally with a role
+router.post(
+  "/",
+  verifyToken,
+  adminOnly,
+  validateRequest,
+  async (req, res, next) => {
+    const { username, password, name, phoneNumber, profilePicture, role } =
+      req.body;
+    const email = normalizeEmail(req.body.email);
 
-  // Validate the required fields
-  if (!username || !email || !password || !name) {
-    return res
-      .status(400)
-      .json({ message: "Username, email, password, and name are required" });
-  }
+    // The required fields and the role (guest or admin) were already checked by
+    // validateRequest, see POST /users in openapi.yaml
+    const weakPassword = checkPasswordStrength(password, { username, email });
+    if (weakPassword) {
+      return next(new BadRequestError(weakPassword)); // Password too weak
+    }
 
-  try {
-    // Check if username or email already exists
-    const existingUser = await prisma.user.findFirst({
-      where: {
-        OR: [{ username }, { email }],
-      },
-    });
+    try {
+      await assertAccountAvailable(prisma, "user", { username, email }); // 409 Conflict if username or email exists
 
-    if (existingUser) {
-      return res
-        .status(400)
-        .json({ message: "Username or email already taken" });
-    }
-
-    // Create the new user
-    const newUser = await prisma.user.create({
-      data: {
-        username,
-        email,
-        password, // Store the plain-text password
-        name,
-        phoneNumber,
-        profilePicture,
-      },
-    });
+      const hashedPassword = await hashPassword(password); // Only the bcrypt hash is stored
 
-    const { password: _, ...userWithoutPassword } = newUser; // Exclude password from the response
-    return res.status(201).json(userWithoutPassword); // User created successfully
-  } catch (err) {
-    console.error(err);
-    return res.status(500).json({ message: "Server error" });
+      // Create the new user, and log who created it
+      const newUser = await prisma.$transaction(async (tx) => {
+        const created = await tx.user.create({
+          data: {
+            username,
+            email,
+            password: hashedPassword,
+            name,
+            phoneNumber,
+            profilePicture,
+            role,
+          },
+        });
+        await recordAudit(tx, req, { entity: "User", after: created });
+        return created;
+      });
+
+      const { password: _, ...userWithoutPassword } = newUser; // Exclude password from the response
+      return res.status(201).json(userWithoutPassword); // User created successfully
+    } catch (err) {
+      return next(err);
+    }
   }
-});
+);
 
 // PUT /users/:id - Update a user by ID
-router.put("/:id", verifyToken, async (req, res) => {
-  const { id } = req.params;
-  const { username, email, password } = req.body;
+router.put(
+  "/:id",
+  verifyToken,
+  canManageUser,
+  validateRequest,
+  async (req, res, next) => {
+    const { id } = req.params;
+    const { username, password, name, phoneNumber, profilePicture } = req.body;
+    const email = normalizeEmail(req.body.email);
 
-  if (!username && !email && !password) {
-    return res.status(400).json({
-      message: "At least one field is required (username, email, or password)",
-    });
+    try {
+      const user = await prisma.user.findFirst({
+        where: { id, ...notDeleted },
+      });
+
+      if (!user) {
+        return next(new NotFoundError("User not found"));
+      }
+
+      if (password) {
+        const weakPassword = checkPasswordStrength(password, {
+          username: username || user.username,
+          email: email || user.email,
+        });
+        if (weakPassword) {
+          return next(new BadRequestError(weakPassword)); // Password too weak
+        }
+      }
+
+      await assertAccountAvailable(prisma, "user", { username, email }, id); // 409 Conflict if another account has them
+
+      const updatedData = {};
+      if (username) updatedData.username = username;
+      if (email) updatedData.email = email;
+      if (password) updatedData.password = await hashPassword(password);
+      if (name !== undefined) updatedData.name = name;
+      if (phoneNumber !== undefined) updatedData.phoneNumber = phoneNumber;
+      if (profilePicture !== undefined) {
+        updatedData.profilePicture = profilePicture;
+      }
+
+      const updatedUser = await prisma.$transaction(async (tx) => {
+        const updated = await tx.user.update({
+          where: { id },
+          data: updatedData,
+        });
+        await recordAudit(tx, req, {
+          entity: "User",
+          before: user,
+          after: updated,
+        });
+
+        // A new password logs out every other session, whoever held its refresh token
+        if (password) {
+          await revokeOtherSessions(tx, id, req.user.sessionId);
+        }
+        return updated;
+      });
+
+      const { password: _, ...userWithoutPassword } = updatedUser;
+      return res.status(200).json(userWithoutPassword);
+    } catch (err) {
+      return next(err);
+    }
   }
+);
 
-  if (req.user.id !== id) {
-    return res
-      .status(403)
-      .json({ message: "You can only update your own account" }); // Forbidden
+// DELETE /users/:id - Soft delete a user by ID and log them out everywhere. Their
+// upcoming bookings are cancelled, a stay in progress blocks the delete (409).
+// ?dryRun=true only reports what would happen, see utils/deletePolicies.js
+router.delete(
+  "/:id",
+  verifyToken,
+  canManageUser,
+  validateRequest,
+  async (req, res, next) => {
+    const { id } = req.params;
+    const dryRun = req.query.dryRun === "true";
+
+    try {
+      const { plan, record } = await prisma.$transaction((tx) =>
+        deleteWithPolicies(tx, req, { entity: "User", id, dryRun })
+      );
+      return res.status(200).json({
+        message: dryRun
+          ? `Dry run, user ${record.username} was not deleted`
+          : `User ${record.username} deleted successfully`,
+        dryRun,
+        ...plan,
+      });
+    } catch (err) {
+      return next(err);
+    }
   }
+);
 
-  try {
-    const user = await prisma.user.findUnique({ where: { id } });
+// POST /users/:id/restore - Undo the deletion of a user (admins only)
+router.post(
+  "/:id/restore",
+  verifyToken,
+  adminOnly,
+  validateRequest,
+  async (req, res, next) => {
+    const { id } = req.params;
 
-    if (!user) {
-      return res.status(404).json({ message: "User not found" });
+    try {
+      // Bring the user back, their reviews count towards the property ratings again
+      const restoredUser = await prisma.$transaction(async (tx) => {
+        const restored = await restoreDeleted(tx, req, {
+          model: "user",
+          entity: "User",
+          id,
+        });
+        await refreshRatingsReviewedBy(tx, id);
+        return restored;
+      });
+
+      const { password: _, ...userWithoutPassword } = restoredUser;
+      return res.status(200).json(userWithoutPassword); // 200 OK with the restored user
+    } catch (err) {
+      return next(err);
     }
+  }
+);
 
-    const updatedData = {};
-    if (username) updatedData.username = username;
-    if (email) updatedData.email = email;
-    if (password) updatedData.password = password;
+// Wishlists: named lists of saved properties. Only the user (or an admin) manages them;
+// anyone can read one through its share link, GET /users/:id/wishlists/:wishlistId?shareToken=
 
-    const updatedUser = await prisma.user.update({
-      where: { id },
-      data: updatedData,
+// The wishlist of the user, or null when either doesn't exist (or the user is deleted)
+const findWishlist = (client, userId, wishlistId) =>
+  client.wishlist.findFirst({
+    where: { id: wishlistId, userId, user: notDeleted },
+    select: wishlistSelect,
+  });
+
+// The saved properties of a wishlist as the audit log records them
+const auditedItems = (wishlist) => ({
+  id: wishlist.id,
+  propertyIds: wishlist.items.map((item) => item.property.id),
+});
+
+// Change the saved properties of a wishlist with changeItems(tx) and log it, returns the wishlist
+const updateItems = (req, before, changeItems) =>
+  prisma.$transaction(async (tx) => {
+    await changeItems(tx);
+    await tx.wishlist.update({
+      where: { id: before.id },
+      data: { updatedAt: new Date() },
     });
+    const after = await findWishlist(tx, before.userId, before.id);
+    await recordAudit(tx, req, {
+      entity: "Wishlist",
+      before: auditedItems(before),
+      after: auditedItems(after),
+    });
+    return after;
+  });
 
-    const { password: _, ...userWithoutPassword } = updatedUser;
-    return res.status(200).json(userWithoutPassword);
-  } catch (err) {
-    console.error(err);
-    return res.status(500).json({ message: "Server error" });
+// GET /users/:id/wishlists - The wishlists of a user
+router.get(
+  "/:id/wishlists",
+  verifyToken,
+  canManageUser,
+  validateRequest,
+  async (req, res, next) => {
+    const { id } = req.params;
+
+    try {
+      const user = await prisma.user.findFirst({
+        where: { id, ...notDeleted },
+        select: { id: true },
+      });
+
+      if (!user) {
+        return next(new NotFoundError("User not found"));
+      }
+
+      const page = await findPage(prisma.wishlist, req.query, {
+        where: { userId: id },
+        select: wishlistSelect,
+      });
+
+      setPageHeaders(req, res, page);
+      return res.status(200).json(page.items.map(toWishlist)); // Success response
+    } catch (err) {
+      return next(err);
+    }
   }
-});
+);
 
-// DELETE /users/:id - Delete a user by ID
-router.delete("/:id", verifyToken, async (req, res) => {
-  const { id } = req.params;
+// POST /users/:id/wishlists - Create a wishlist, with a fresh share link
+router.post(
+  "/:id/wishlists",
+  verifyToken,
+  canManageUser,
+  validateRequest,
+  async (req, res, next) => {
+    const { id } = req.params;
+    const { name } = req.body;
+
+    try {
+      const user = await prisma.user.findFirst({
+        where: { id, ...notDeleted },
+        select: { id: true },
+      });
+
+      if (!user) {
+        return next(new NotFoundError("User not found"));
+      }
+
+      const wishlist = await prisma.$transaction(async (tx) => {
+        const created = await tx.wishlist.create({
+          data: { name, userId: id, shareToken: newShareToken() },
+        });
+        await recordAudit(tx, req, { entity: "Wishlist", after: created });
+        return findWishlist(tx, id, created.id);
+      });
+
+      return res.status(201).json(toWishlist(wishlist)); // Wishlist created
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+// GET /users/:id/wishlists/:wishlistId - One wishlist, for the user, an admin or anyone
+// with its share token
+router.get(
+  "/:id/wishlists/:wishlistId",
+  optionalToken,
+  validateRequest,
+  async (req, res, next) => {
+    const { id, wishlistId } = req.params;
+
+    try {
+      const wishlist = await findWishlist(prisma, id, wishlistId);
+
+      if (!wishlist) {
+        return next(new NotFoundError("Wishlist not found"));
+      }
+
+      if (req.user?.id === id || isAdmin(req.user)) {
+        return res.status(200).json(toWishlist(wishlist)); // Success response
+      }
 
-  if (req.user.id !== id) {
-    return res
-      .status(403)
-      .json({ message: "You can only delete your own account" });
+      if (!matchesShareToken(wishlist, req.query.shareToken)) {
+        return next(
+          new ForbiddenError(
+            "This wishlist is private, open it through its share link"
+          )
+        ); // 403 Forbidden without the share token
+      }
+
+      return res.status(200).json(toSharedWishlist(wishlist)); // Read-only view of the share link
+    } catch (err) {
+      return next(err);
+    }
   }
+);
 
-  try {
-    const deletedUser = await prisma.user.delete({ where: { id } });
-    return res
-      .status(200)
-      .json({ message: `User ${deletedUser.username} deleted successfully` });
-  } catch (err) {
-    console.error(err);
+// PUT /users/:id/wishlists/:wishlistId - Rename a wishlist
+router.put(
+  "/:id/wishlists/:wishlistId",
+  verifyToken,
+  canManageUser,
+  validateRequest,
+  async (req, res, next) => {
+    const { id, wishlistId } = req.params;
+    const { name } = req.body;
+
+    try {
+      const wishlist = await prisma.wishlist.findFirst({
+        where: { id: wishlistId, userId: id, user: notDeleted },
+      });
+
+      if (!wishlist) {
+        return next(new NotFoundError("Wishlist not found"));
+      }
 
-    if (err.code === "P2025") {
-      return res.status(404).json({ message: "User not found" });
+      const updatedWishlist = await prisma.$transaction(async (tx) => {
+        const updated = await tx.wishlist.update({
+          where: { id: wishlistId },
+          data: { name },
+        });
+        await recordAudit(tx, req, {
+          entity: "Wishlist",
+          before: wishlist,
+          after: updated,
+        });
+        return findWishlist(tx, id, wishlistId);
+      });
+
+      return res.status(200).json(toWishlist(updatedWishlist));
+    } catch (err) {
+      return next(err);
     }
+  }
+);
+
+// DELETE /users/:id/wishlists/:wishlistId - Delete a wishlist, its share link stops working
+router.delete(
+  "/:id/wishlists/:wishlistId",
+  verifyToken,
+  canManageUser,
+  validateRequest,
+  async (req, res, next) => {
+    const { id, wishlistId } = req.params;
+
+    try {
+      const wishlist = await prisma.wishlist.findFirst({
+        where: { id: wishlistId, userId: id, user: notDeleted },
+      });
+
+      if (!wishlist) {
+        return next(new NotFoundError("Wishlist not found"));
+      }
+
+      await prisma.$transaction(async (tx) => {
+        const deleted = await tx.wishlist.delete({ where: { id: wishlistId } }); // Its items go with it
+        await recordAudit(tx, req, { entity: "Wishlist", before: deleted });
+      });
 
-    return res.status(500).json({ message: "Server error" });
+      return res
+        .status(200)
+        .json({ message: `Wishlist ${wishlist.name} deleted successfully` });
+    } catch (err) {
+      return next(err);
+    }
   }
-});
+);
+
+// POST /users/:id/wishlists/:wishlistId/properties - Save a property in a wishlist.
+// Saving it again changes nothing.
+router.post(
+  "/:id/wishlists/:wishlistId/properties",
+  verifyToken,
+  canManageUser,
+  validateRequest,
+  async (req, res, next) => {
+    const { id, wishlistId } = req.params;
+    const { propertyId } = req.body;
+
+    try {
+      const wishlist = await findWishlist(prisma, id, wishlistId);
+
+      if (!wishlist) {
+        return next(new NotFoundError("Wishlist not found"));
+      }
+
+      const property = await prisma.property.findFirst({
+        where: { id: propertyId, ...notDeleted },
+        select: { id: true },
+      });
+
+      if (!property) {
+        return next(new NotFoundError("Property not found"));
+      }
+
+      const changed = await updateItems(req, wishlist, (tx) =>
+        tx.wishlistItem.upsert({
+          where: { wishlistId_propertyId: { wishlistId, propertyId } },
+          create: { wishlistId, propertyId },
+          update: {},
+        })
+      );
+
+      return res.status(200).json(toWishlist(changed)); // 200 OK with the wishlist
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+// DELETE /users/:id/wishlists/:wishlistId/properties/:propertyId - Remove a property from a wishlist
+router.delete(
+  "/:id/wishlists/:wishlistId/properties/:propertyId",
+  verifyToken,
+  canManageUser,
+  validateRequest,
+  async (req, res, next) => {
+    const { id, wishlistId, propertyId } = req.params;
+
+    try {
+      const wishlist = await findWishlist(prisma, id, wishlistId);
+
+      if (!wishlist) {
+        return next(new NotFoundError("Wishlist not found"));
+      }
+
+      if (!wishlist.items.some((item) => item.property.id === propertyId)) {
+        return next(
+          new NotFoundError("This property isn't saved in the wishlist")
+        );
+      }
+
+      const changed = await updateItems(req, wishlist, (tx) =>
+        tx.wishlistItem.delete({
+          where: { wishlistId_propertyId: { wishlistId, propertyId } },
+        })
+      );
+
+      return res.status(200).json(toWishlist(changed)); // 200 OK with the wishlist
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+// POST /users/:id/wishlists/:wishlistId/share - Replace the share token, the old link stops working
+router.post(
+  "/:id/wishlists/:wishlistId/share",
+  verifyToken,
+  canManageUser,
+  validateRequest,
+  async (req, res, next) => {
+    const { id, wishlistId } = req.params;
+
+    try {
+      const wishlist = await prisma.wishlist.findFirst({
+        where: { id: wishlistId, userId: id, user: notDeleted },
+      });
+
+      if (!wishlist) {
+        return next(new NotFoundError("Wishlist not found"));
+      }
+
+      const sharedWishlist = await prisma.$transaction(async (tx) => {
+        const updated = await tx.wishlist.update({
+          where: { id: wishlistId },
+          data: { shareToken: newShareToken() },
+        });
+        await recordAudit(tx, req, {
+          entity: "Wishlist",
+          before: wishlist,
+          after: updated,
+        });
+        return findWishlist(tx, id, wishlistId);
+      });
+
+      return res.status(200).json(toWishlist(sharedWishlist)); // 200 OK with the new share token
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
 
 export default router;
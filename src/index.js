@@ -1,67 +1,93 @@
+import "dotenv/config"; // Load environment variables from .env file, before the modules below read them
 import express from "express";
-import dotenv from "dotenv";
+import * as Sentry from "@sentry/node";
 import loginRoute from "../routes/login.js";
+import logoutRoute from "../routes/logout.js";
+import registerRoute from "../routes/register.js";
 import usersRoute from "../routes/users.js";
 import hostsRoute from "../routes/hosts.js";
 import propertiesRoute from "../routes/properties.js";
 import amenitiesRoute from "../routes/amenities.js";
 import bookingsRoute from "../routes/bookings.js";
 import reviewsRoute from "../routes/reviews.js";
-import { logRequestDuration } from "../middleware/loggingMiddleWare.js";
+import guestReviewsRoute from "../routes/guestReviews.js";
+import adminRoute from "../routes/admin.js";
+import docsRoute from "../routes/docs.js";
+import { logRequestDuration } from "../middleware/loggingMiddleware.js";
+import { assignRequestId } from "../middleware/requestId.js";
+import { errorHandler, notFound } from "../middleware/errorHandler.js";
+import { checkResponses } from "../middleware/validateResponse.js";
+import { limitApi, limitLogin, limitRate } from "../middleware/rateLimit.js";
 import helmet from "helmet";
 import cors from "cors";
-import rateLimit from "express-rate-limit";
 import logger from "../config/logger.js"; // Ensure the path is correct
-
-dotenv.config(); // Load environment variables from .env file
+import { initSentry } from "../config/sentry.js";
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
-// Security and rate-limiting middleware
+// Behind a proxy or load balancer, TRUST_PROXY (e.g. 1 for one hop) makes req.ip the
+// client's address rather than the proxy's, for rate limits, lockouts and logs
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set("trust proxy", Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
+// Error tracking and tracing (a no-op without SENTRY_DSN, see config/sentry.js).
+// Its handlers come first so the whole request runs in its own Sentry scope.
+if (initSentry(app)) {
+  app.use(Sentry.Handlers.requestHandler());
+  app.use(Sentry.Handlers.tracingHandler());
+}
+
+// Every request gets an id before anything else runs, so everything after it can refer to it
+app.use(assignRequestId);
+
+// In tests, check every response against openapi.yaml (see tests/app.test.js)
+if (process.env.NODE_ENV === "test") {
+  app.use(checkResponses);
+}
+
+// Security middleware
 app.use(helmet()); // Adds various HTTP headers for security
-app.use(cors()); // Allows cross-origin requests
-// app.use(
-//   rateLimit({
-//     windowMs: 15 * 60 * 1000, // 15 minutes
-//     max: 100, // Limit each IP to 100 requests per windowMs
-//   })
-// );
+app.use(
+  cors({
+    exposedHeaders: [
+      "Link",
+      "X-Total-Count",
+      "X-Request-Id",
+      "RateLimit-Limit",
+      "RateLimit-Remaining",
+      "RateLimit-Reset",
+      "RateLimit-Policy",
+      "Retry-After",
+    ],
+  })
+); // Allows cross-origin requests, and lets browsers read the pagination, request id and rate limit headers
 
 // Logging middleware to log request durations and details
 app.use(logRequestDuration);
 
 app.use(express.json()); // Parse incoming JSON requests
 
-// Use the routes
-app.use("/login", loginRoute);
-app.use("/users", usersRoute);
-app.use("/hosts", hostsRoute);
-app.use("/properties", propertiesRoute);
-app.use("/amenities", amenitiesRoute);
-app.use("/bookings", bookingsRoute);
-app.use("/reviews", reviewsRoute);
+// Use the routes, each behind the rate limit policy it needs (see middleware/rateLimit.js):
+// strict where passwords are guessed or accounts created, looser for the rest
+app.use("/login", limitLogin, loginRoute);
+app.use("/logout", limitApi, logoutRoute);
+app.use("/register", limitRate("register"), registerRoute);
+app.use("/users", limitApi, usersRoute);
+app.use("/hosts", limitApi, hostsRoute);
+app.use("/properties", limitApi, propertiesRoute);
+app.use("/amenities", limitApi, amenitiesRoute);
+app.use("/bookings", limitApi, bookingsRoute);
+app.use("/reviews", limitApi, reviewsRoute);
+app.use("/guest-reviews", limitApi, guestReviewsRoute);
+app.use("/admin", limitApi, adminRoute);
+app.use(docsRoute); // GET /docs and GET /openapi.json
 
-// Error handling middleware (catch-all)
-app.use((err, req, res, next) => {
-  // Log the error using Winston
-  logger.error(`Error occurred: ${err.message}`);
-
-  // Handle different error types
-  if (err.status === 404) {
-    return res.status(404).json({ message: "Resource not found" });
-  }
-
-  if (err.status === 400) {
-    return res.status(400).json({ message: "Bad request" });
-  }
-
-  // Default 500 Internal Server Error response for other errors
-  return res.status(500).json({
-    message:
-      "An error occurred on the server, please double-check your request!",
-  });
-});
+// Requests no route answered, then every error as an RFC 7807 problem
+app.use(notFound);
+app.use(errorHandler);
 
 // Start the server and log that it's working
 app.listen(PORT, () => {
@@ -1,13 +1,42 @@
 import request from "supertest";
-import { PrismaClient } from "@prisma/client";
+import { Prisma, PrismaClient } from "@prisma/client";
 import { v4 as uuidv4 } from "uuid"; // Import uuid to generate a unique ID
+import bcrypt from "bcryptjs";
 import app from "../src/index.js"; // Import the app from index.js
+import { takeContractViolations } from "../middleware/validateResponse.js";
+import { MemoryStore, setRateLimitStore } from "../utils/rateLimitStore.js";
+import { scrubEvent } from "../config/sentry.js";
+import { refreshPropertyRating } from "../utils/ratings.js";
+import { toHttpError } from "../utils/errors.js";
 
 const prisma = new PrismaClient();
 
 describe("API Tests", () => {
   let token;
+  let hostToken; // Token of a host account, for host-only actions
+  let adminToken; // Token of an admin account, for admin-only actions
   let username; // Store the dynamically generated username
+  let userId; // Id of the test user, the guest of the stays created below
+  let propertyId; // Id of a seeded property, the one the booking tests book
+  let hostId; // Id of the test host, the owner of the properties created below
+  let adminId; // Id of the test admin
+
+  // Emails are unique, so every account created here gets one of its own and the suite can run again
+  const uniqueEmail = (name) => `${name}-${uuidv4()}@example.com`;
+
+  // Create a finished stay of the test user at a property, ready to be reviewed
+  const createFinishedStay = (propertyId) =>
+    prisma.booking.create({
+      data: {
+        userId,
+        propertyId,
+        checkinDate: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000),
+        checkoutDate: new Date(Date.now() - 24 * 60 * 60 * 1000),
+        numberOfGuests: 1,
+        totalPrice: 200,
+        bookingStatus: "completed",
+      },
+    });
 
   // Setup: Create a user and get a JWT token to use for authenticated requests
   beforeAll(async () => {
@@ -19,10 +48,10 @@ describe("API Tests", () => {
       data: {
         username: username, // Use the unique username
         name: "Test User", // Ensure name is provided
-        email: "testuser@example.com",
+        email: uniqueEmail("testuser"),
         phoneNumber: "1234567890", // Ensure phoneNumber is provided
         profilePicture: null, // Optional, can be null
-        password: "passw0rd12",
+        password: await bcrypt.hash("testpassword123", 10), // Passwords are stored as bcrypt hashes
       },
     });
 
@@ -32,6 +61,90 @@ describe("API Tests", () => {
       .send({ username: username, password: "testpassword123" });
 
     token = response.body.token; // Store the token for use in subsequent requests
+    userId = user.id;
+
+    // Create a host and log in through the host login path
+    const hostUsername = `testhost-${uuidv4()}`;
+    const host = await prisma.host.create({
+      data: {
+        username: hostUsername,
+        name: "Test Host",
+        email: uniqueEmail("testhost"),
+        phoneNumber: "1234567890",
+        password: await bcrypt.hash("hostpassword123", 10),
+      },
+    });
+
+    const hostResponse = await request(app)
+      .post("/login/host")
+      .send({ username: hostUsername, password: "hostpassword123" });
+
+    hostToken = hostResponse.body.token;
+    hostId = host.id;
+
+    // Create an admin user and log in
+    const adminUsername = `testadmin-${uuidv4()}`;
+    const admin = await prisma.user.create({
+      data: {
+        username: adminUsername,
+        name: "Test Admin",
+        email: `${adminUsername}@example.com`,
+        phoneNumber: "1234567890",
+        password: await bcrypt.hash("adminpassword123", 10),
+        role: "admin",
+      },
+    });
+
+    const adminResponse = await request(app)
+      .post("/login")
+      .send({ username: adminUsername, password: "adminpassword123" });
+
+    adminToken = adminResponse.body.token;
+    adminId = admin.id;
+
+    const property = await prisma.property.findFirst({
+      orderBy: { id: "asc" },
+    });
+    propertyId = property.id;
+  });
+
+  // Teardown: remove the test accounts with the stays, reviews and listings created for them
+  afterAll(async () => {
+    const ofTestHost = { property: { hostId } };
+    const reviewed = await prisma.review.findMany({
+      where: { userId, NOT: ofTestHost },
+      select: { propertyId: true },
+    });
+
+    await prisma.review.deleteMany({ where: { OR: [{ userId }, ofTestHost] } });
+    await prisma.guestReview.deleteMany({
+      where: { OR: [{ userId }, { hostId }] },
+    });
+    await prisma.booking.deleteMany({
+      where: { OR: [{ userId }, ofTestHost] },
+    });
+    await prisma.property.deleteMany({ where: { hostId } });
+    await prisma.session.deleteMany({
+      where: { accountId: { in: [userId, hostId, adminId] } },
+    });
+    await prisma.user.deleteMany({ where: { id: { in: [userId, adminId] } } });
+    await prisma.host.delete({ where: { id: hostId } });
+
+    // The seeded properties the test user reviewed count without those reviews again
+    for (const propertyId of new Set(reviewed.map((r) => r.propertyId))) {
+      await prisma.$transaction((tx) => refreshPropertyRating(tx, propertyId));
+    }
+    await prisma.$disconnect();
+  });
+
+  // Rate limits and login lockouts start over for every test
+  beforeEach(() => {
+    setRateLimitStore(new MemoryStore());
+  });
+
+  // Every response of a test must match openapi.yaml, so the spec and the routes can't drift apart
+  afterEach(() => {
+    expect(takeContractViolations()).toEqual([]);
   });
 
   // User Tests
@@ -49,11 +162,13 @@ describe("API Tests", () => {
   it("should create a new user", async () => {
     const response = await request(app)
       .post("/users")
-      .set("Authorization", `Bearer ${token}`)
+      .set("Authorization", `Bearer ${adminToken}`) // Only admins create accounts for others
       .send({
         username: `newuser-${uuidv4()}`, // Use a dynamically generated username
-        email: "newuser@example.com",
+        email: uniqueEmail("newuser"),
         password: "newpassword123",
+        name: "New User",
+        phoneNumber: "1234567890",
       });
 
     expect(response.status).toBe(201);
@@ -62,6 +177,256 @@ describe("API Tests", () => {
     expect(response.body).toHaveProperty("email");
   });
 
+  it("should not let a guest create accounts for others", async () => {
+    const response = await request(app)
+      .post("/users")
+      .set("Authorization", `Bearer ${token}`)
+      .send({
+        username: `otheruser-${uuidv4()}`,
+        name: "Other User",
+        email: `otheruser-${uuidv4()}@example.com`,
+        password: "Tr4vel-often!",
+      });
+
+    expect(response.status).toBe(403);
+  });
+
+  it("should register a new host and log them in", async () => {
+    const hostUsername = `signup-${uuidv4().slice(0, 8)}`;
+    const response = await request(app)
+      .post("/register")
+      .send({
+        accountType: "host",
+        username: hostUsername,
+        name: "Signup Host",
+        email: `${hostUsername}@example.com`,
+        phoneNumber: "1234567890",
+        password: "Sunny-b3aches",
+      });
+
+    expect(response.status).toBe(201);
+    expect(response.body.account.role).toBe("host");
+    expect(response.body.account.password).toBeUndefined();
+    expect(response.body.token).toBeDefined();
+
+    // The same username can't be registered twice
+    const duplicate = await request(app)
+      .post("/register")
+      .send({
+        accountType: "host",
+        username: hostUsername,
+        name: "Signup Host",
+        email: `other-${hostUsername}@example.com`,
+        phoneNumber: "1234567890",
+        password: "Sunny-b3aches",
+      });
+
+    expect(duplicate.status).toBe(409);
+  });
+
+  it("should treat emails that differ only in case as the same", async () => {
+    const email = uniqueEmail("casing");
+    const first = await request(app)
+      .post("/hosts")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({
+        username: `casing-${uuidv4()}`,
+        email: `  ${email.toUpperCase()} `,
+        password: "hostpassword123",
+        name: "Casing Host",
+        phoneNumber: "1234567890",
+      });
+
+    expect(first.status).toBe(201);
+    expect(first.body.email).toBe(email); // Stored trimmed and in lower case
+
+    const second = await request(app)
+      .post("/hosts")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({
+        username: `casing-${uuidv4()}`,
+        email,
+        password: "hostpassword123",
+        name: "Casing Host",
+        phoneNumber: "1234567890",
+      });
+
+    expect(second.status).toBe(409);
+  });
+
+  it("should reject a trivially weak password", async () => {
+    const response = await request(app)
+      .post("/users")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({
+        username: `weakuser-${uuidv4()}`,
+        name: "Weak User",
+        email: uniqueEmail("weakuser"),
+        password: "password123",
+      });
+
+    expect(response.status).toBe(400);
+  });
+
+  it("should log in a host with the host role", async () => {
+    const response = await request(app)
+      .get("/hosts")
+      .set("Authorization", `Bearer ${hostToken}`);
+
+    expect(hostToken).toBeDefined();
+    expect(response.status).toBe(200);
+  });
+
+  it("should not log in with a wrong password", async () => {
+    const response = await request(app)
+      .post("/login")
+      .send({ username: username, password: "wrongpassword123" });
+
+    expect(response.status).toBe(401);
+  });
+
+  it("should lock a username out after repeated failed logins", async () => {
+    for (let i = 0; i < 5; i++) {
+      const failed = await request(app)
+        .post("/login")
+        .send({ username: username, password: "wrongpassword123" });
+
+      expect(failed.status).toBe(401);
+    }
+
+    // Even the right password is refused until the lockout ends
+    const response = await request(app)
+      .post("/login")
+      .send({ username: username, password: "testpassword123" });
+
+    expect(response.status).toBe(429);
+    expect(response.body.code).toBe("login_locked");
+    expect(Number(response.headers["retry-after"])).toBeGreaterThan(0);
+    expect(response.headers["ratelimit-limit"]).toBeDefined();
+  });
+
+  it("should not count token refreshes against the login rate limit", async () => {
+    for (let i = 0; i < 11; i++) {
+      await request(app)
+        .post("/login/refresh")
+        .send({ refreshToken: "not-a-refresh-token" });
+    }
+
+    const response = await request(app)
+      .post("/login")
+      .send({ username: username, password: "testpassword123" });
+
+    expect(response.status).toBe(200);
+  });
+
+  it("should rotate the refresh token and reject reusing the old one", async () => {
+    const login = await request(app)
+      .post("/login")
+      .send({ username: username, password: "testpassword123" });
+    const { refreshToken } = login.body;
+
+    const refreshed = await request(app)
+      .post("/login/refresh")
+      .send({ refreshToken });
+
+    expect(refreshed.status).toBe(200);
+    expect(refreshed.body.token).toBeDefined();
+    expect(refreshed.body.refreshToken).not.toBe(refreshToken);
+
+    // Reusing the old refresh token revokes the session
+    const reused = await request(app)
+      .post("/login/refresh")
+      .send({ refreshToken });
+
+    expect(reused.status).toBe(401);
+  });
+
+  it("should end the other sessions when the password changes", async () => {
+    const account = await prisma.user.create({
+      data: {
+        username: `testpassword-${uuidv4()}`,
+        name: "Password Changer",
+        email: uniqueEmail("changer"),
+        phoneNumber: "1234567890",
+        password: await bcrypt.hash("oldpassword123", 10),
+      },
+    });
+    const logIn = () =>
+      request(app)
+        .post("/login")
+        .send({ username: account.username, password: "oldpassword123" });
+    const stolen = await logIn(); // A session someone else holds the refresh token of
+    const current = await logIn();
+
+    const changed = await request(app)
+      .put(`/users/${account.id}`)
+      .set("Authorization", `Bearer ${current.body.token}`)
+      .send({ password: "n3w-Passw0rd-here" });
+
+    expect(changed.status).toBe(200);
+
+    const refreshed = await request(app)
+      .post("/login/refresh")
+      .send({ refreshToken: stolen.body.refreshToken });
+
+    expect(refreshed.status).toBe(401);
+
+    const stillIn = await request(app)
+      .post("/login/refresh")
+      .send({ refreshToken: current.body.refreshToken });
+
+    expect(stillIn.status).toBe(200); // The session that changed it stays
+  });
+
+  it("should reject the access token after logout", async () => {
+    const login = await request(app)
+      .post("/login")
+      .send({ username: username, password: "testpassword123" });
+    const sessionToken = login.body.token;
+
+    const logout = await request(app)
+      .post("/logout")
+      .set("Authorization", `Bearer ${sessionToken}`);
+
+    expect(logout.status).toBe(204);
+
+    // The token hasn't expired, but its session is gone
+    const response = await request(app)
+      .post("/logout")
+      .set("Authorization", `Bearer ${sessionToken}`);
+
+    expect(response.status).toBe(401);
+  });
+
+  it("should not let a user update someone else's account", async () => {
+    const response = await request(app)
+      .put(`/users/${1}`) // Not the test user
+      .set("Authorization", `Bearer ${token}`)
+      .send({ name: "Someone Else" });
+
+    expect(response.status).toBe(403);
+  });
+
+  it("should paginate, sort and select fields on a list", async () => {
+    const response = await request(app)
+      .get("/users")
+      .query({ limit: 2, sort: "-username", fields: "username" });
+
+    expect(response.status).toBe(200);
+    expect(response.body.length).toBeLessThanOrEqual(2);
+    expect(Number(response.headers["x-total-count"])).toBeGreaterThan(0);
+    expect(response.body[0]).toHaveProperty("id");
+    expect(response.body[0]).not.toHaveProperty("email");
+  });
+
+  it("should reject sorting on an unknown field", async () => {
+    const response = await request(app)
+      .get("/users")
+      .query({ sort: "password" });
+
+    expect(response.status).toBe(400);
+  });
+
   // Host Tests
   it("should fetch all hosts", async () => {
     const response = await request(app)
@@ -75,11 +440,13 @@ describe("API Tests", () => {
   it("should create a new host", async () => {
     const response = await request(app)
       .post("/hosts")
-      .set("Authorization", `Bearer ${token}`)
+      .set("Authorization", `Bearer ${adminToken}`)
       .send({
         username: `newhost-${uuidv4()}`,
-        email: "newhost@example.com",
+        email: uniqueEmail("newhost"),
         password: "hostpassword123",
+        name: "New Host",
+        phoneNumber: "1234567890",
         aboutMe: "About the new host",
       });
 
@@ -87,6 +454,26 @@ describe("API Tests", () => {
     expect(response.body.username).toBeDefined();
   });
 
+  it("should require the name and phone number of a new host", async () => {
+    const response = await request(app)
+      .post("/hosts")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({
+        username: `newhost-${uuidv4()}`,
+        email: uniqueEmail("nameless"),
+        password: "hostpassword123",
+        phoneNumber: "",
+      });
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({ location: "body", field: "name" }),
+        expect.objectContaining({ location: "body", field: "phoneNumber" }),
+      ])
+    );
+  });
+
   // Property Tests
   it("should fetch all properties", async () => {
     const response = await request(app)
@@ -100,7 +487,7 @@ describe("API Tests", () => {
   it("should create a new property", async () => {
     const response = await request(app)
       .post("/properties")
-      .set("Authorization", `Bearer ${token}`)
+      .set("Authorization", `Bearer ${hostToken}`) // Only hosts list properties
       .send({
         title: "Beautiful House",
         description: "A lovely house in the city.",
@@ -109,12 +496,279 @@ describe("API Tests", () => {
         bedroomCount: 3,
         bathroomCount: 2,
         maxGuestCount: 6,
-        rating: 4.5,
-        hostId: 1, // Assume host with ID 1 exists
+        rating: 4.5, // Ignored, the rating is derived from the reviews
       });
 
     expect(response.status).toBe(201);
     expect(response.body.title).toBe("Beautiful House");
+    expect(response.body.rating).toBe(0); // No reviews yet, whatever the client sent
+  });
+
+  it("should record changes in the audit log for admins", async () => {
+    const created = await request(app)
+      .post("/properties")
+      .set("Authorization", `Bearer ${hostToken}`)
+      .send({
+        title: "Audited House",
+        description: "A house whose creation is audited.",
+        location: "Malibu, California",
+        pricePerNight: 150,
+        bedroomCount: 2,
+        bathroomCount: 1,
+        maxGuestCount: 4,
+      });
+
+    const response = await request(app)
+      .get(`/admin/audit?entity=Property&entityId=${created.body.id}`)
+      .set("Authorization", `Bearer ${adminToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toHaveLength(1);
+    expect(response.body[0].action).toBe("create");
+    expect(response.body[0].actorRole).toBe("host");
+    expect(response.body[0].changes.title).toEqual({
+      before: null,
+      after: "Audited House",
+    });
+
+    const forbidden = await request(app)
+      .get("/admin/audit")
+      .set("Authorization", `Bearer ${token}`);
+    expect(forbidden.status).toBe(403); // Guests can't read the audit log
+  });
+
+  it("should hide a deleted property until an admin restores it", async () => {
+    const created = await request(app)
+      .post("/properties")
+      .set("Authorization", `Bearer ${hostToken}`)
+      .send({
+        title: "Soon Gone House",
+        description: "A house that is deleted and restored.",
+        location: "Malibu, California",
+        pricePerNight: 90,
+        bedroomCount: 1,
+        bathroomCount: 1,
+        maxGuestCount: 2,
+      });
+    const url = `/properties/${created.body.id}`;
+
+    const deleted = await request(app)
+      .delete(url)
+      .set("Authorization", `Bearer ${hostToken}`);
+    expect(deleted.status).toBe(200);
+    expect((await request(app).get(url)).status).toBe(404);
+
+    const restored = await request(app)
+      .post(`${url}/restore`)
+      .set("Authorization", `Bearer ${adminToken}`);
+    expect(restored.status).toBe(200);
+    expect(restored.body.deletedAt).toBeNull();
+    expect((await request(app).get(url)).status).toBe(200);
+  });
+
+  it("should leave the reviews of a deleted user out of ratings", async () => {
+    const property = await request(app)
+      .post("/properties")
+      .set("Authorization", `Bearer ${hostToken}`)
+      .send({
+        title: "Once Reviewed House",
+        description: "A house reviewed by someone who left.",
+        location: "Malibu, California",
+        pricePerNight: 90,
+        bedroomCount: 1,
+        bathroomCount: 1,
+        maxGuestCount: 2,
+      });
+    const reviewer = await prisma.user.create({
+      data: {
+        username: `reviewer-${uuidv4()}`,
+        name: "Leaving Reviewer",
+        email: uniqueEmail("reviewer"),
+        phoneNumber: "1234567890",
+        password: await bcrypt.hash("reviewerpassword123", 10),
+      },
+    });
+    await prisma.review.create({
+      data: {
+        rating: 2,
+        comment: "Not for me",
+        userId: reviewer.id,
+        propertyId: property.body.id,
+        releasedAt: new Date(),
+      },
+    });
+    await prisma.$transaction((tx) =>
+      refreshPropertyRating(tx, property.body.id)
+    );
+    const url = `/properties/${property.body.id}`;
+
+    const deleted = await request(app)
+      .delete(`/users/${reviewer.id}`)
+      .set("Authorization", `Bearer ${adminToken}`);
+    expect(deleted.status).toBe(200);
+
+    const unrated = await request(app).get(url);
+    expect(unrated.body.reviewCount).toBe(0);
+    expect(unrated.body.rating).toBe(0);
+
+    await request(app)
+      .post(`/users/${reviewer.id}/restore`)
+      .set("Authorization", `Bearer ${adminToken}`);
+
+    const rated = await request(app).get(url);
+    expect(rated.body.reviewCount).toBe(1);
+    expect(rated.body.rating).toBe(2);
+  });
+
+  it("should report every invalid field of a property", async () => {
+    const response = await request(app)
+      .post("/properties")
+      .set("Authorization", `Bearer ${hostToken}`)
+      .send({
+        title: "Tiny Cabin",
+        description: "No bedroom, just a sofa bed.",
+        location: "Aspen, Colorado",
+        pricePerNight: "abc",
+        bedroomCount: 0, // 0 is a valid count
+        bathroomCount: 1,
+      });
+
+    expect(response.status).toBe(400);
+    expect(response.body.code).toBe("validation_failed");
+    expect(response.body.errors).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({ location: "body", field: "pricePerNight" }),
+        expect.objectContaining({ location: "body", field: "maxGuestCount" }),
+      ])
+    );
+    expect(response.body.errors).toHaveLength(2);
+  });
+
+  it("should serve the OpenAPI document", async () => {
+    const response = await request(app).get("/openapi.json");
+
+    expect(response.status).toBe(200);
+    expect(response.body.openapi).toBe("3.1.0");
+    expect(response.body.paths["/properties"]).toBeDefined();
+  });
+
+  it("should answer errors as problem details with a request id", async () => {
+    const response = await request(app)
+      .get(`/properties/${uuidv4()}`)
+      .set("X-Request-Id", "test-request-1");
+
+    expect(response.status).toBe(404);
+    expect(response.headers["content-type"]).toMatch(
+      /^application\/problem\+json/
+    );
+    expect(response.headers["x-request-id"]).toBe("test-request-1");
+    expect(response.body).toMatchObject({
+      status: 404,
+      code: "not_found",
+      detail: "Property not found",
+      instance: expect.stringContaining("/properties/"),
+      requestId: "test-request-1",
+    });
+  });
+
+  it("should send back the request id a client or proxy passed on", async () => {
+    const response = await request(app)
+      .get("/amenities")
+      .set("X-Request-Id", "proxy-1:abc.DEF_2");
+
+    expect(response.status).toBe(200);
+    expect(response.headers["x-request-id"]).toBe("proxy-1:abc.DEF_2");
+  });
+
+  it("should generate a request id when there is none or it is invalid", async () => {
+    const uuid =
+      /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+    const missing = await request(app).get("/amenities");
+
+    expect(missing.headers["x-request-id"]).toMatch(uuid);
+
+    const invalid = await request(app)
+      .get("/amenities")
+      .set("X-Request-Id", "no spaces <allowed>");
+
+    expect(invalid.headers["x-request-id"]).toMatch(uuid);
+    expect(invalid.headers["x-request-id"]).not.toBe(
+      missing.headers["x-request-id"]
+    );
+  });
+
+  it("should answer unique constraint failures with the code of their rule", () => {
+    const uniqueViolation = (modelName, target) =>
+      toHttpError(
+        new Prisma.PrismaClientKnownRequestError("Unique constraint failed", {
+          code: "P2002",
+          clientVersion: Prisma.prismaVersion.client,
+          meta: { modelName, target },
+        })
+      );
+
+    // Two reviews of the same stay racing each other
+    const review = uniqueViolation("Review", ["bookingId"]);
+    expect(review.status).toBe(409);
+    expect(review.code).toBe("already_reviewed");
+
+    const amenity = uniqueViolation("Amenity", ["name"]);
+    expect(amenity.status).toBe(409);
+    expect(amenity.code).toBe("unique_violation");
+    expect(amenity.extensions.fields).toEqual(["name"]);
+  });
+
+  it("should require at least one field to update", async () => {
+    const response = await request(app)
+      .put(`/users/${userId}`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({});
+
+    expect(response.status).toBe(400);
+    expect(response.body.code).toBe("validation_failed");
+  });
+
+  it("should strip personal data from error reports", () => {
+    const event = scrubEvent({
+      request: {
+        url: "http://localhost/users?email=jdoe@example.com&name=John",
+        headers: { authorization: "Bearer abc", "user-agent": "jest" },
+        cookies: { session: "abc" },
+        data: JSON.stringify({
+          username: "jdoe",
+          password: "s3cret-pass",
+          refreshToken: "def",
+          profile: { email: "jdoe@example.com" },
+        }),
+        query_string: "email=jdoe@example.com&name=John",
+      },
+      user: { id: "a1", email: "jdoe@example.com", ip_address: "10.0.0.1" },
+    });
+
+    expect(event.request.headers).toEqual({
+      authorization: "[Filtered]",
+      "user-agent": "jest",
+    });
+    expect(event.request.cookies).toBeUndefined();
+    expect(JSON.parse(event.request.data)).toEqual({
+      username: "jdoe",
+      password: "[Filtered]",
+      refreshToken: "[Filtered]",
+      profile: { email: "[Filtered]" },
+    });
+    expect(event.request.query_string).toBe("email=%5BFiltered%5D&name=John");
+    expect(event.request.url).not.toContain("jdoe@example.com");
+    expect(event.user).toEqual({ id: "a1" });
+  });
+
+  it("should not let a guest update a listing", async () => {
+    const response = await request(app)
+      .put(`/properties/${1}`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ title: "Taken over" });
+
+    expect(response.status).toBe(403);
   });
 
   // Amenity Tests
@@ -128,16 +782,83 @@ describe("API Tests", () => {
   });
 
   it("should create a new amenity", async () => {
+    const name = `Smoke Detector ${uuidv4()}`;
     const response = await request(app)
       .post("/amenities")
-      .set("Authorization", `Bearer ${token}`)
+      .set("Authorization", `Bearer ${adminToken}`) // Only admins manage amenities
       .send({
-        name: "Wifi",
-        description: "High-speed wireless internet",
+        name,
+        description: "Smoke detector in every bedroom",
+        category: "safety",
+        icon: "smoke-detector",
       });
 
     expect(response.status).toBe(201);
-    expect(response.body.name).toBe("Wifi");
+    expect(response.body.name).toBe(name);
+    expect(response.body.category).toBe("safety");
+
+    // Names are unique whatever their case
+    const duplicate = await request(app)
+      .post("/amenities")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ name: name.toUpperCase() });
+
+    expect(duplicate.status).toBe(409);
+
+    // An empty description is a change too, not a missing field
+    const cleared = await request(app)
+      .put(`/amenities/${response.body.id}`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ description: "" });
+
+    expect(cleared.status).toBe(200);
+    expect(cleared.body.description).toBe("");
+  });
+
+  it("should replace, add and remove the amenities of a property", async () => {
+    const property = await request(app)
+      .post("/properties")
+      .set("Authorization", `Bearer ${hostToken}`)
+      .send({
+        title: "Equipped House",
+        description: "A house with amenities.",
+        location: "Nashville, Tennessee",
+        pricePerNight: 150,
+        bedroomCount: 2,
+        bathroomCount: 1,
+        maxGuestCount: 4,
+      });
+    const [first, second] = await prisma.amenity.findMany({ take: 2 });
+    const url = `/properties/${property.body.id}/amenities`;
+
+    const replaced = await request(app)
+      .put(url)
+      .set("Authorization", `Bearer ${hostToken}`)
+      .send({ amenityIds: [first.id] });
+
+    expect(replaced.status).toBe(200);
+    expect(replaced.body.map((amenity) => amenity.id)).toEqual([first.id]);
+
+    const added = await request(app)
+      .post(url)
+      .set("Authorization", `Bearer ${hostToken}`)
+      .send({ amenityIds: [second.id] });
+
+    expect(added.body).toHaveLength(2);
+
+    const removed = await request(app)
+      .delete(`${url}/${first.id}`)
+      .set("Authorization", `Bearer ${hostToken}`);
+
+    expect(removed.status).toBe(200);
+    expect(removed.body.map((amenity) => amenity.id)).toEqual([second.id]);
+
+    const unknown = await request(app)
+      .put(url)
+      .set("Authorization", `Bearer ${hostToken}`)
+      .send({ amenityIds: ["not-an-amenity"] });
+
+    expect(unknown.status).toBe(400);
   });
 
   // Booking Tests
@@ -148,6 +869,9 @@ describe("API Tests", () => {
 
     expect(response.status).toBe(200);
     expect(Array.isArray(response.body)).toBe(true); // Bookings should be an array
+    response.body.forEach((booking) => expect(booking.userId).toBe(userId)); // Guests only see their own
+
+    expect((await request(app).get("/bookings")).status).toBe(401);
   });
 
   it("should create a new booking", async () => {
@@ -155,14 +879,246 @@ describe("API Tests", () => {
       .post("/bookings")
       .set("Authorization", `Bearer ${token}`)
       .send({
-        startDate: "2024-01-01",
-        endDate: "2024-01-07",
-        userId: 1, // Assume user with ID 1 exists
-        propertyId: 1, // Assume property with ID 1 exists
+        checkinDate: "2024-01-01",
+        checkoutDate: "2024-01-07",
+        numberOfGuests: 2,
+        totalPrice: 1, // Ignored, the server computes the price
+        propertyId,
       });
 
     expect(response.status).toBe(201);
-    expect(response.body).toHaveProperty("startDate", "2024-01-01");
+    expect(response.body).toHaveProperty(
+      "checkinDate",
+      "2024-01-01T00:00:00.000Z"
+    );
+    expect(response.body.numberOfGuests).toBe(2);
+    expect(response.body.totalPrice).toBeGreaterThan(1);
+  });
+
+  it("should cancel the upcoming bookings of a deleted property", async () => {
+    const property = await request(app)
+      .post("/properties")
+      .set("Authorization", `Bearer ${hostToken}`)
+      .send({
+        title: "Closing House",
+        description: "A house that closes with a booking ahead.",
+        location: "Malibu, California",
+        pricePerNight: 80,
+        bedroomCount: 1,
+        bathroomCount: 1,
+        maxGuestCount: 2,
+      });
+    const booking = await request(app)
+      .post("/bookings")
+      .set("Authorization", `Bearer ${token}`)
+      .send({
+        checkinDate: "2099-05-01",
+        checkoutDate: "2099-05-03",
+        propertyId: property.body.id,
+      });
+    const pastStay = await prisma.booking.create({
+      data: {
+        userId,
+        propertyId: property.body.id,
+        checkinDate: new Date("2020-05-01"),
+        checkoutDate: new Date("2020-05-03"),
+        numberOfGuests: 1,
+        totalPrice: 160,
+        bookingStatus: "confirmed", // Never checked in or completed
+      },
+    });
+    const url = `/properties/${property.body.id}`;
+
+    const dryRun = await request(app)
+      .delete(`${url}?dryRun=true`)
+      .set("Authorization", `Bearer ${hostToken}`);
+    expect(dryRun.status).toBe(200);
+    expect(dryRun.body.cancelledBookings).toEqual([booking.body.id]);
+    expect((await request(app).get(url)).status).toBe(200); // Nothing changed yet
+
+    const deleted = await request(app)
+      .delete(url)
+      .set("Authorization", `Bearer ${hostToken}`);
+    expect(deleted.status).toBe(200);
+
+    const cancelled = await prisma.booking.findUnique({
+      where: { id: booking.body.id },
+    });
+    expect(cancelled.bookingStatus).toBe("cancelled");
+
+    // Only upcoming stays are cancelled, a past one is kept as it was
+    const kept = await prisma.booking.findUnique({
+      where: { id: pastStay.id },
+    });
+    expect(kept.bookingStatus).toBe("confirmed");
+
+    // Hidden with the property, in the list and on its own
+    const listed = await request(app)
+      .get("/bookings")
+      .set("Authorization", `Bearer ${token}`);
+    expect(listed.body.map((b) => b.id)).not.toContain(booking.body.id);
+
+    const hidden = await request(app)
+      .get(`/bookings/${booking.body.id}`)
+      .set("Authorization", `Bearer ${token}`);
+    expect(hidden.status).toBe(404);
+  });
+
+  it("should save a property in a wishlist shared by its link", async () => {
+    const wishlist = await request(app)
+      .post(`/users/${userId}/wishlists`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ name: "Summer by the sea" });
+    expect(wishlist.status).toBe(201);
+    const url = `/users/${userId}/wishlists/${wishlist.body.id}`;
+
+    const saved = await request(app)
+      .post(`${url}/properties`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ propertyId });
+    expect(saved.status).toBe(200);
+    expect(saved.body.properties.map((p) => p.id)).toEqual([propertyId]);
+
+    const search = await request(app)
+      .get("/properties")
+      .set("Authorization", `Bearer ${token}`);
+    expect(search.body.find((p) => p.id === propertyId).saved).toBe(true);
+
+    expect((await request(app).get(url)).status).toBe(403); // Private without the link
+    const shared = await request(app).get(
+      `${url}?shareToken=${wishlist.body.shareToken}`
+    );
+    expect(shared.status).toBe(200);
+    expect(shared.body.name).toBe("Summer by the sea");
+    expect(shared.body).not.toHaveProperty("shareToken"); // Readers can't pass it on
+    expect(shared.body).not.toHaveProperty("userId");
+
+    const guessed = await request(app).get(`${url}?shareToken=not-the-token`);
+    expect(guessed.status).toBe(403);
+  });
+
+  it("should reject a booking that overlaps an existing one", async () => {
+    const response = await request(app)
+      .post("/bookings")
+      .set("Authorization", `Bearer ${token}`)
+      .send({
+        checkinDate: "2024-01-05",
+        checkoutDate: "2024-01-10",
+        propertyId, // Same property as the booking above
+      });
+
+    expect(response.status).toBe(409);
+  });
+
+  it("should reject a booking that ends before it starts", async () => {
+    const response = await request(app)
+      .post("/bookings")
+      .set("Authorization", `Bearer ${token}`)
+      .send({
+        checkinDate: "2024-02-07",
+        checkoutDate: "2024-02-01",
+        propertyId,
+      });
+
+    expect(response.status).toBe(400);
+  });
+
+  it("should move a booking through its lifecycle", async () => {
+    const created = await request(app)
+      .post("/bookings")
+      .set("Authorization", `Bearer ${token}`)
+      .send({
+        checkinDate: "2024-03-01",
+        checkoutDate: "2024-03-04",
+        propertyId,
+      });
+
+    expect(created.status).toBe(201);
+    expect(created.body.bookingStatus).toBe("pending");
+
+    // Only the property's host (or an admin) may confirm
+    const forbidden = await request(app)
+      .post(`/bookings/${created.body.id}/confirm`)
+      .set("Authorization", `Bearer ${token}`);
+
+    expect(forbidden.status).toBe(403);
+
+    const confirmed = await request(app)
+      .post(`/bookings/${created.body.id}/confirm`)
+      .set("Authorization", `Bearer ${adminToken}`);
+
+    expect(confirmed.status).toBe(200);
+    expect(confirmed.body.bookingStatus).toBe("confirmed");
+
+    const cancelled = await request(app)
+      .post(`/bookings/${created.body.id}/cancel`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ reason: "Change of plans" });
+
+    expect(cancelled.status).toBe(200);
+    expect(cancelled.body.bookingStatus).toBe("cancelled");
+
+    // A cancelled booking can't be confirmed again
+    const illegal = await request(app)
+      .post(`/bookings/${created.body.id}/confirm`)
+      .set("Authorization", `Bearer ${adminToken}`);
+
+    expect(illegal.status).toBe(409);
+
+    // Guests cancel, only admins delete a booking with its history
+    const guestDelete = await request(app)
+      .delete(`/bookings/${created.body.id}`)
+      .set("Authorization", `Bearer ${token}`);
+
+    expect(guestDelete.status).toBe(403);
+
+    const adminDelete = await request(app)
+      .delete(`/bookings/${created.body.id}`)
+      .set("Authorization", `Bearer ${adminToken}`);
+
+    expect(adminDelete.status).toBe(200);
+  });
+
+  it("should ask the host again when a confirmed stay moves", async () => {
+    const created = await request(app)
+      .post("/bookings")
+      .set("Authorization", `Bearer ${token}`)
+      .send({
+        checkinDate: "2024-06-01",
+        checkoutDate: "2024-06-03",
+        propertyId,
+      });
+    await request(app)
+      .post(`/bookings/${created.body.id}/confirm`)
+      .set("Authorization", `Bearer ${adminToken}`);
+
+    const moved = await request(app)
+      .put(`/bookings/${created.body.id}`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ checkinDate: "2024-06-10", checkoutDate: "2024-06-12" });
+
+    expect(moved.status).toBe(200);
+    expect(moved.body.bookingStatus).toBe("pending");
+
+    const history = await request(app)
+      .get(`/bookings/${created.body.id}/history`)
+      .set("Authorization", `Bearer ${token}`);
+
+    expect(history.body.map((change) => change.toStatus)).toEqual([
+      "confirmed",
+      "pending",
+    ]);
+  });
+
+  it("should return the availability of a property", async () => {
+    const response = await request(app).get(
+      `/properties/${propertyId}/availability?from=2024-01-01&to=2024-01-31`
+    );
+
+    expect(response.status).toBe(200);
+    expect(Array.isArray(response.body.booked)).toBe(true);
+    expect(Array.isArray(response.body.available)).toBe(true);
+    expect(response.body.booked[0].startDate).toBe("2024-01-01T00:00:00.000Z");
   });
 
   // Review Tests
@@ -176,19 +1132,163 @@ describe("API Tests", () => {
   });
 
   it("should create a new review", async () => {
+    const property = await prisma.property.findFirst();
+    const stay = await createFinishedStay(property.id);
+
     const response = await request(app)
       .post("/reviews")
       .set("Authorization", `Bearer ${token}`)
       .send({
+        bookingId: stay.id,
         rating: 5,
         comment: "Excellent property!",
-        userId: 1, // Assume user with ID 1 exists
-        propertyId: 1, // Assume property with ID 1 exists
       });
 
     expect(response.status).toBe(201);
     expect(response.body.rating).toBe(5);
     expect(response.body.comment).toBe("Excellent property!");
+    expect(response.body.propertyId).toBe(property.id);
+
+    // A stay is reviewed only once
+    const again = await request(app)
+      .post("/reviews")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ bookingId: stay.id, rating: 4, comment: "Second thoughts" });
+
+    expect(again.status).toBe(409);
+
+    // Hidden until the host reviewed the guest too
+    const listed = await request(app).get(`/properties/${property.id}/reviews`);
+
+    expect(listed.status).toBe(200);
+    expect(response.body.releasedAt).toBeNull();
+    expect(listed.body.map((review) => review.id)).not.toContain(
+      response.body.id
+    );
+
+    // Taking the review back doesn't make room for another one
+    const withdrawn = await request(app)
+      .delete(`/reviews/${response.body.id}`)
+      .set("Authorization", `Bearer ${token}`);
+
+    expect(withdrawn.status).toBe(200);
+
+    const rewritten = await request(app)
+      .post("/reviews")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ bookingId: stay.id, rating: 1, comment: "Try again" });
+
+    expect(rewritten.status).toBe(409);
+    expect(rewritten.body.code).toBe("already_reviewed");
+  });
+
+  it("should not review a stay before checkout", async () => {
+    const property = await prisma.property.findFirst();
+    const stay = await prisma.booking.create({
+      data: {
+        userId,
+        propertyId: property.id,
+        checkinDate: new Date("2031-06-01"),
+        checkoutDate: new Date("2031-06-05"),
+        totalPrice: 400,
+        bookingStatus: "confirmed",
+      },
+    });
+
+    const response = await request(app)
+      .post("/reviews")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ bookingId: stay.id, rating: 5, comment: "Can't wait!" });
+
+    expect(response.status).toBe(409);
+  });
+
+  it("should publish both reviews of a stay together", async () => {
+    const property = await request(app)
+      .post("/properties")
+      .set("Authorization", `Bearer ${hostToken}`)
+      .send({
+        title: "Rated House",
+        description: "A house to review.",
+        location: "Nashville, Tennessee",
+        pricePerNight: 120,
+        bedroomCount: 2,
+        bathroomCount: 1,
+        maxGuestCount: 4,
+      });
+
+    const stay = await createFinishedStay(property.body.id);
+    const review = await request(app)
+      .post("/reviews")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ bookingId: stay.id, rating: 4, comment: "Nice stay" });
+
+    expect(review.status).toBe(201);
+
+    // The guest's review doesn't count before it is published
+    const hidden = await request(app).get(`/properties/${property.body.id}`);
+
+    expect(hidden.body.reviewCount).toBe(0);
+
+    const guestReview = await request(app)
+      .post("/guest-reviews")
+      .set("Authorization", `Bearer ${hostToken}`)
+      .send({ bookingId: stay.id, rating: 5, comment: "Lovely guest" });
+
+    expect(guestReview.status).toBe(201);
+    expect(guestReview.body.releasedAt).not.toBeNull();
+
+    const guest = await request(app).get(`/users/${userId}`);
+
+    expect(guest.body.reputation).toBeGreaterThan(0);
+
+    // The guest has read the host's review now, so theirs is final
+    const edited = await request(app)
+      .put(`/reviews/${review.body.id}`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ rating: 1 });
+
+    expect(edited.status).toBe(409);
+
+    const rated = await request(app).get(`/properties/${property.body.id}`);
+
+    expect(rated.body.rating).toBe(4);
+    expect(rated.body.reviewCount).toBe(1);
+    expect(rated.body.ratingHistogram["4"]).toBe(1);
+
+    // One public reply from the host
+    const reply = await request(app)
+      .post(`/reviews/${review.body.id}/reply`)
+      .set("Authorization", `Bearer ${hostToken}`)
+      .send({ reply: "Thanks for staying with us!" });
+
+    expect(reply.status).toBe(201);
+    expect(reply.body.hostReply).toBe("Thanks for staying with us!");
+
+    const secondReply = await request(app)
+      .post(`/reviews/${review.body.id}/reply`)
+      .set("Authorization", `Bearer ${hostToken}`)
+      .send({ reply: "Come back soon!" });
+
+    expect(secondReply.status).toBe(409);
+
+    // Nor can the guest take it back, only an admin can remove it
+    const withdrawn = await request(app)
+      .delete(`/reviews/${review.body.id}`)
+      .set("Authorization", `Bearer ${token}`);
+
+    expect(withdrawn.status).toBe(409);
+
+    const removed = await request(app)
+      .delete(`/reviews/${review.body.id}`)
+      .set("Authorization", `Bearer ${adminToken}`);
+
+    expect(removed.status).toBe(200);
+
+    const unrated = await request(app).get(`/properties/${property.body.id}`);
+
+    expect(unrated.body.rating).toBe(0);
+    expect(unrated.body.reviewCount).toBe(0);
   });
 
   // Test Query Parameters
@@ -202,10 +1302,47 @@ describe("API Tests", () => {
     expect(response.body[0].pricePerNight).toBe(310.25);
   });
 
+  it("should combine property search filters", async () => {
+    const response = await request(app).get("/properties").query({
+      minPrice: 100,
+      maxPrice: 400,
+      guests: 2,
+      minBedrooms: 1,
+      checkin: "2030-01-10",
+      checkout: "2030-01-12",
+    });
+
+    expect(response.status).toBe(200);
+    response.body.forEach((property) => {
+      expect(property.pricePerNight).toBeGreaterThanOrEqual(100);
+      expect(property.pricePerNight).toBeLessThanOrEqual(400);
+      expect(property.maxGuestCount).toBeGreaterThanOrEqual(2);
+    });
+  });
+
+  it("should reject a price range where minPrice is above maxPrice", async () => {
+    const response = await request(app)
+      .get("/properties")
+      .query({ minPrice: 400, maxPrice: 100 });
+
+    expect(response.status).toBe(400);
+  });
+
+  it("should find properties near a point, closest first", async () => {
+    const response = await request(app)
+      .get("/properties")
+      .query({ near: "34.0259,-118.7798", radiusKm: 50 });
+
+    expect(response.status).toBe(200);
+    const distances = response.body.map((property) => property.distanceKm);
+    distances.forEach((distance) => expect(distance).toBeLessThanOrEqual(50));
+    expect([...distances].sort((a, b) => a - b)).toEqual(distances);
+  });
+
   it("should filter bookings by userId", async () => {
     const response = await request(app)
       .get("/bookings?userId=a1234567-89ab-cdef-0123-456789abcdef")
-      .set("Authorization", `Bearer ${token}`);
+      .set("Authorization", `Bearer ${adminToken}`);
 
     expect(response.status).toBe(200);
     expect(response.body[0].userId).toBe(
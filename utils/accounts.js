@@ -0,0 +1,31 @@
+// utils/accounts.js
+import { ConflictError } from "./errors.js";
+
+// Emails are stored trimmed and in lower case, so "Foo@x.com" and "foo@x.com" are one account
+export const normalizeEmail = (email) => email?.trim().toLowerCase();
+
+// Make sure no other account of a model ("user" or "host") has the username or email,
+// regardless of case. Pass the id of the account being changed to leave it out.
+// Throws a 409 otherwise.
+export const assertAccountAvailable = async (
+  db,
+  model,
+  { username, email },
+  excludeId
+) => {
+  const taken = [
+    username && { username: { equals: username, mode: "insensitive" } },
+    email && { email: { equals: email, mode: "insensitive" } },
+  ].filter(Boolean);
+  if (!taken.length) return;
+
+  const existing = await db[model].findFirst({
+    where: { OR: taken, ...(excludeId && { NOT: { id: excludeId } }) },
+    select: { id: true },
+  });
+  if (existing) {
+    throw new ConflictError("Username or email already taken", {
+      code: "unique_violation",
+    });
+  }
+};
@@ -0,0 +1,56 @@
+// utils/amenities.js
+import { BadRequestError } from "./errors.js";
+
+// Fields returned for an amenity
+export const amenitySelect = {
+  id: true,
+  name: true,
+  description: true,
+  category: true,
+  icon: true,
+  createdAt: true,
+};
+
+// Fields returned for each amenity of a property
+export const propertyAmenitySelect = {
+  id: true,
+  name: true,
+  category: true,
+  icon: true,
+};
+
+// Another amenity with the same name, ignoring case, so "wifi" and "WiFi" can't both exist
+export const findAmenityByName = (prisma, name, excludeId) =>
+  prisma.amenity.findFirst({
+    where: {
+      name: { equals: name.trim(), mode: "insensitive" },
+      ...(excludeId && { id: { not: excludeId } }),
+    },
+    select: { id: true },
+  });
+
+// The amenityIds array of a request body, without duplicates.
+// Throws an error with status 400 when it isn't an array of ids.
+export const parseAmenityIds = (amenityIds) => {
+  if (
+    !Array.isArray(amenityIds) ||
+    !amenityIds.every((id) => typeof id === "string" && id)
+  ) {
+    throw new BadRequestError("amenityIds must be an array of amenity ids");
+  }
+  return [...new Set(amenityIds)];
+};
+
+// Make sure every id belongs to an existing amenity; throws 400 naming the unknown ones
+export const assertAmenitiesExist = async (prisma, amenityIds) => {
+  const found = await prisma.amenity.findMany({
+    where: { id: { in: amenityIds } },
+    select: { id: true },
+  });
+  const foundIds = new Set(found.map((amenity) => amenity.id));
+  const unknown = amenityIds.filter((id) => !foundIds.has(id));
+
+  if (unknown.length) {
+    throw new BadRequestError(`Unknown amenities: ${unknown.join(", ")}`);
+  }
+};
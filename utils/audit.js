@@ -0,0 +1,60 @@
+// utils/audit.js
+
+// Fields whose values never go into the audit log, only the fact that they changed
+const REDACTED_FIELDS = ["password", "shareToken"];
+
+// A record as JSON, e.g. Dates as ISO strings
+const toJson = (record) => JSON.parse(JSON.stringify(record ?? {}));
+
+// The fields that differ between two versions of a record, as
+// { field: { before, after } }. A missing version (before a create, after a delete)
+// counts as null for every field.
+export const diffRecords = (before, after) => {
+  const [from, to] = [toJson(before), toJson(after)];
+  const changes = {};
+
+  for (const field of new Set([...Object.keys(from), ...Object.keys(to)])) {
+    const [was, is] = [from[field] ?? null, to[field] ?? null];
+    if (JSON.stringify(was) === JSON.stringify(is)) continue;
+
+    changes[field] = REDACTED_FIELDS.includes(field)
+      ? { before: was && "[redacted]", after: is && "[redacted]" }
+      : { before: was, after: is };
+  }
+  return changes;
+};
+
+// Write what a request did to one record to the audit log. Call it in the transaction
+// of the change, so there is no change without its entry.
+// before is the record before the change (null for a create), after the record after
+// it (null for a delete); both with the same fields. The actor is the logged-in
+// account, or e.g. the new account for a registration. The action follows from which
+// versions there are, unless given, e.g. "delete" for a soft delete.
+// An update that changed nothing isn't logged.
+export const recordAudit = async (
+  tx,
+  req,
+  {
+    entity,
+    before = null,
+    after = null,
+    actor = req.user,
+    action = !before ? "create" : !after ? "delete" : "update",
+  }
+) => {
+  const changes = diffRecords(before, after);
+  if (action === "update" && !Object.keys(changes).length) return null;
+
+  return tx.auditLog.create({
+    data: {
+      action,
+      entity,
+      entityId: (after ?? before).id,
+      actorId: actor?.id ?? null,
+      actorRole: actor?.role ?? null,
+      changes,
+      ip: req.ip ?? null,
+      requestId: req.id ?? null,
+    },
+  });
+};
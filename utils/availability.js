@@ -0,0 +1,151 @@
+// utils/availability.js
+import { BadRequestError, ConflictError, NotFoundError } from "./errors.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const MAX_AVAILABILITY_RANGE_DAYS = 366;
+
+// Bookings in these statuses no longer hold on to their dates
+export const RELEASED_BOOKING_STATUSES = ["cancelled", "declined"];
+
+// Parse a date coming from a request, returning null when it is not a valid date
+export const parseDate = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  const date = new Date(value);
+  return isNaN(date) ? null : date;
+};
+
+// Lock the property row for the rest of the transaction and return it, deleted or not.
+// Concurrent bookings on the same property queue up here, so the overlap
+// check below always sees the bookings committed by the request before it.
+export const lockProperty = async (tx, propertyId) => {
+  const rows = await tx.$queryRaw`
+    SELECT "id", "pricePerNight", "maxGuestCount", "deletedAt"
+    FROM "Property" WHERE "id" = ${propertyId} FOR UPDATE
+  `;
+  return rows[0] || null;
+};
+
+// Find an active booking on the property that overlaps [checkinDate, checkoutDate).
+// Stays are half-open, so a checkout and a checkin on the same day don't clash.
+export const findOverlappingBooking = (
+  tx,
+  { propertyId, checkinDate, checkoutDate, excludeBookingId }
+) => {
+  const where = {
+    propertyId,
+    checkinDate: { lt: checkoutDate },
+    checkoutDate: { gt: checkinDate },
+    bookingStatus: { notIn: RELEASED_BOOKING_STATUSES },
+  };
+
+  if (excludeBookingId) {
+    where.id = { not: excludeBookingId };
+  }
+
+  return tx.booking.findFirst({ where, orderBy: { checkinDate: "asc" } });
+};
+
+// Validate the stay dates and make sure the property is free for them.
+// Must be called inside a transaction; returns the locked property and
+// throws an error with an HTTP status otherwise.
+export const assertPropertyAvailable = async (
+  tx,
+  { propertyId, checkinDate, checkoutDate, excludeBookingId }
+) => {
+  if (checkoutDate <= checkinDate) {
+    throw new BadRequestError("Checkout date must be after checkin date");
+  }
+
+  const property = await lockProperty(tx, propertyId);
+  if (!property || property.deletedAt) {
+    throw new NotFoundError("Property not found");
+  }
+
+  const overlapping = await findOverlappingBooking(tx, {
+    propertyId,
+    checkinDate,
+    checkoutDate,
+    excludeBookingId,
+  });
+
+  if (overlapping) {
+    throw new ConflictError(
+      `Property is already booked from ${overlapping.checkinDate.toISOString()} to ${overlapping.checkoutDate.toISOString()}`,
+      { code: "booking_overlap" }
+    );
+  }
+
+  return property;
+};
+
+// Resolve the ?from=&to= window of an availability query.
+// Defaults to the next 30 days starting today (UTC).
+export const parseAvailabilityRange = ({ from, to }) => {
+  const today = new Date();
+  today.setUTCHours(0, 0, 0, 0);
+
+  const start = from ? parseDate(from) : today;
+  if (!start) {
+    throw new BadRequestError("Invalid 'from' date");
+  }
+
+  const end = to ? parseDate(to) : new Date(start.getTime() + 30 * DAY_MS);
+  if (!end) {
+    throw new BadRequestError("Invalid 'to' date");
+  }
+
+  if (end <= start) {
+    throw new BadRequestError("'to' must be after 'from'");
+  }
+
+  if (end - start > MAX_AVAILABILITY_RANGE_DAYS * DAY_MS) {
+    throw new BadRequestError(
+      `Range cannot be longer than ${MAX_AVAILABILITY_RANGE_DAYS} days`
+    );
+  }
+
+  return { from: start, to: end };
+};
+
+// Build the booked and free date ranges of a property between from and to
+export const getAvailability = async (prisma, propertyId, { from, to }) => {
+  const bookings = await prisma.booking.findMany({
+    where: {
+      propertyId,
+      checkinDate: { lt: to },
+      checkoutDate: { gt: from },
+      bookingStatus: { notIn: RELEASED_BOOKING_STATUSES },
+    },
+    select: { checkinDate: true, checkoutDate: true },
+    orderBy: { checkinDate: "asc" },
+  });
+
+  // Clip bookings to the window and merge the ones that touch or overlap
+  const booked = [];
+  for (const booking of bookings) {
+    const startDate = booking.checkinDate < from ? from : booking.checkinDate;
+    const endDate = booking.checkoutDate > to ? to : booking.checkoutDate;
+    const last = booked[booked.length - 1];
+
+    if (last && startDate <= last.endDate) {
+      if (endDate > last.endDate) last.endDate = endDate;
+    } else {
+      booked.push({ startDate, endDate });
+    }
+  }
+
+  // Everything between the booked ranges is free
+  const available = [];
+  let cursor = from;
+  for (const range of booked) {
+    if (range.startDate > cursor) {
+      available.push({ startDate: cursor, endDate: range.startDate });
+    }
+    cursor = range.endDate;
+  }
+  if (cursor < to) {
+    available.push({ startDate: cursor, endDate: to });
+  }
+
+  return { booked, available };
+};
@@ -0,0 +1,83 @@
+// utils/bookingStatus.js
+import { ConflictError, NotFoundError } from "./errors.js";
+
+// Booking lifecycle:
+//   pending -> confirmed -> checked_in -> completed
+//   pending -> declined
+//   pending | confirmed -> cancelled
+// Each action maps to its own endpoint (POST /bookings/:id/<action>).
+export const BOOKING_TRANSITIONS = {
+  confirm: { from: ["pending"], to: "confirmed" },
+  decline: { from: ["pending"], to: "declined" },
+  cancel: { from: ["pending", "confirmed"], to: "cancelled" },
+  "check-in": { from: ["confirmed"], to: "checked_in" },
+  complete: { from: ["checked_in"], to: "completed" },
+};
+
+// Statuses in which the stay itself (dates, guests, property) may still be edited
+export const EDITABLE_BOOKING_STATUSES = ["pending", "confirmed"];
+
+const startOfUTCDay = (date) =>
+  new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+  );
+
+// Apply a lifecycle action to a booking and record who did it and when.
+// Must be called inside a transaction; throws 404 for an unknown booking and
+// 409 when the action isn't allowed from the booking's current status.
+export const transitionBooking = async (
+  tx,
+  bookingId,
+  action,
+  { actorId, reason }
+) => {
+  const transition = BOOKING_TRANSITIONS[action];
+
+  const booking = await tx.booking.findUnique({ where: { id: bookingId } });
+  if (!booking) {
+    throw new NotFoundError("Booking not found");
+  }
+
+  const { bookingStatus } = booking;
+  if (!transition.from.includes(bookingStatus)) {
+    const allowed = transition.from.join(", ");
+    throw new ConflictError(
+      `Cannot ${action} a booking that is ${bookingStatus} (allowed from: ${allowed})`,
+      { code: "invalid_transition" }
+    );
+  }
+
+  const now = new Date();
+  if (action === "check-in" && now < startOfUTCDay(booking.checkinDate)) {
+    throw new ConflictError(
+      `Cannot check in before ${booking.checkinDate.toISOString()}`,
+      { code: "check_in_too_early" }
+    );
+  }
+
+  // Only move the booking if nobody changed its status in the meantime
+  const { count } = await tx.booking.updateMany({
+    where: { id: bookingId, bookingStatus: booking.bookingStatus },
+    data: { bookingStatus: transition.to, statusChangedAt: now },
+  });
+
+  if (count === 0) {
+    throw new ConflictError(
+      "Booking status was changed by another request, please retry",
+      { code: "write_conflict" }
+    );
+  }
+
+  await tx.bookingStatusChange.create({
+    data: {
+      bookingId,
+      fromStatus: booking.bookingStatus,
+      toStatus: transition.to,
+      actorId,
+      reason,
+      createdAt: now,
+    },
+  });
+
+  return tx.booking.findUnique({ where: { id: bookingId } });
+};
@@ -0,0 +1,185 @@
+// utils/deletePolicies.js
+import { recordAudit } from "./audit.js";
+import { BOOKING_TRANSITIONS, transitionBooking } from "./bookingStatus.js";
+import { revokeAllSessions } from "./sessions.js";
+import {
+  notDeleted,
+  refreshRatingsReviewedBy,
+  softDelete,
+} from "./softDelete.js";
+import { BadRequestError, ConflictError, NotFoundError } from "./errors.js";
+
+// What a delete does to the records depending on the deleted one:
+//
+//   Host      listings              cascade: deleted with the host, by the Property
+//                                   rules, or reassign: moved to the host ?reassignTo=
+//   Property  stays in progress     block: 409 until the guest checked out
+//             upcoming bookings     cancel: pending and confirmed bookings whose stay
+//                                   isn't over are cancelled
+//             past bookings,        keep: hidden with the property, purged with it; a
+//             reviews               past stay that was never resolved stays as it is
+//   User      stays in progress     block
+//             upcoming bookings     cancel
+//             past bookings,        keep: hidden with the user, purged with them; their
+//             reviews,              reviews no longer count towards property ratings
+//             guest reviews
+//
+// Deletes are soft (see utils/softDelete.js), a restore doesn't bring cancelled
+// bookings back.
+
+const CANCELLABLE_STATUSES = BOOKING_TRANSITIONS.cancel.from;
+const STAY_IN_PROGRESS = "checked_in";
+
+// What deleting a record would do, the body of the DELETE response:
+//   deleted: [{ entity, id }]   records deleted, the requested one first
+//   cancelledBookings: [id]     upcoming bookings of deleted properties or users
+//   reassignedListings: [id]    listings moved to another host
+//   blockedBy: [{ entity, id }] dependents that keep it from being deleted
+const emptyPlan = () => ({
+  deleted: [],
+  cancelledBookings: [],
+  reassignedListings: [],
+  blockedBy: [],
+});
+
+// Sort the active bookings matching where into the plan: stays in progress block
+// the delete, upcoming bookings (checkout still ahead) get cancelled
+const planBookings = async (tx, plan, where) => {
+  const bookings = await tx.booking.findMany({
+    where: {
+      ...where,
+      OR: [
+        { bookingStatus: STAY_IN_PROGRESS },
+        {
+          bookingStatus: { in: CANCELLABLE_STATUSES },
+          checkoutDate: { gt: new Date() },
+        },
+      ],
+    },
+    select: { id: true, bookingStatus: true },
+    orderBy: { checkinDate: "asc" },
+  });
+
+  for (const { id, bookingStatus } of bookings) {
+    if (bookingStatus === STAY_IN_PROGRESS) {
+      plan.blockedBy.push({ entity: "Booking", id });
+    } else {
+      plan.cancelledBookings.push(id);
+    }
+  }
+};
+
+const planProperty = async (tx, plan, id) => {
+  plan.deleted.push({ entity: "Property", id });
+  await planBookings(tx, plan, { propertyId: id });
+};
+
+// Find what deleting the record would do, without changing anything.
+// Throws a 404 when there is no such record (or it is deleted already).
+const planDeletion = async (tx, { entity, id, reassignTo }) => {
+  const plan = emptyPlan();
+  const record = await tx[entity.toLowerCase()].findFirst({
+    where: { id, ...notDeleted },
+  });
+  if (!record) {
+    throw new NotFoundError(`${entity} not found`);
+  }
+
+  if (entity === "Property") {
+    await planProperty(tx, plan, id);
+  } else if (entity === "User") {
+    plan.deleted.push({ entity, id });
+    await planBookings(tx, plan, { userId: id });
+  } else {
+    plan.deleted.push({ entity, id });
+
+    if (reassignTo !== undefined) {
+      const newHost = await tx.host.findFirst({
+        where: { id: reassignTo, ...notDeleted },
+        select: { id: true },
+      });
+      if (!newHost || reassignTo === id) {
+        throw new BadRequestError("reassignTo must be the id of another host"); // 400, there is nobody to hand the listings to
+      }
+    }
+
+    const listings = await tx.property.findMany({
+      where: { hostId: id, ...notDeleted },
+      select: { id: true },
+      orderBy: { id: "asc" },
+    });
+    for (const listing of listings) {
+      if (reassignTo !== undefined) {
+        plan.reassignedListings.push(listing.id);
+      } else {
+        await planProperty(tx, plan, listing.id);
+      }
+    }
+  }
+
+  return { plan, record };
+};
+
+// Cancel a booking on behalf of the delete and log it
+const cancelBooking = async (tx, req, id, reason) => {
+  const before = await tx.booking.findUnique({ where: { id } });
+  const after = await transitionBooking(tx, id, "cancel", {
+    actorId: req.user.id,
+    reason,
+  });
+  await recordAudit(tx, req, { entity: "Booking", before, after });
+};
+
+// Delete a user, host or property with the policies above. Must be called inside a
+// transaction. With dryRun nothing changes and the plan is only reported; otherwise
+// dependents that block the delete make it fail with a 409 listing them
+// (code has_dependents). Returns the plan and the deleted record.
+export const deleteWithPolicies = async (
+  tx,
+  req,
+  { entity, id, reassignTo, dryRun = false }
+) => {
+  const { plan, record } = await planDeletion(tx, { entity, id, reassignTo });
+  if (dryRun) return { plan, record };
+
+  if (plan.blockedBy.length) {
+    throw new ConflictError(
+      `${entity} can't be deleted while guests are staying (${plan.blockedBy.length} stay(s) in progress)`,
+      { code: "has_dependents", dependents: plan.blockedBy }
+    ); // 409, wait for the checkouts
+  }
+
+  const reason = `${entity} deleted`;
+  for (const bookingId of plan.cancelledBookings) {
+    await cancelBooking(tx, req, bookingId, reason);
+  }
+
+  for (const listingId of plan.reassignedListings) {
+    const before = await tx.property.findUnique({ where: { id: listingId } });
+    const after = await tx.property.update({
+      where: { id: listingId },
+      data: { hostId: reassignTo },
+    });
+    await recordAudit(tx, req, { entity: "Property", before, after });
+  }
+
+  // Everything deleted together shares one deletedAt, see POST /hosts/:id/restore
+  const deletedAt = new Date();
+  let deleted;
+  for (const target of plan.deleted) {
+    const row = await softDelete(tx, req, {
+      model: target.entity.toLowerCase(),
+      ...target,
+      deletedAt,
+    });
+    deleted ??= row;
+  }
+
+  if (entity === "User") {
+    await refreshRatingsReviewedBy(tx, id); // Their reviews are hidden with them and no longer count
+  }
+  if (entity !== "Property") {
+    await revokeAllSessions(tx, id); // Log the account out everywhere
+  }
+  return { plan, record: deleted };
+};
@@ -0,0 +1,168 @@
+// utils/errors.js
+import { Prisma } from "@prisma/client";
+
+// An error that becomes an HTTP error response. code is a stable, machine-readable
+// name for what went wrong (e.g. "not_found"); clients can rely on it, unlike the
+// human-readable message. extensions are extra members of the response body.
+export class HttpError extends Error {
+  constructor(status, code, message, extensions = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.extensions = extensions;
+  }
+}
+
+// The request is malformed or breaks a business rule on its input
+export class BadRequestError extends HttpError {
+  constructor(message, { code = "bad_request", ...extensions } = {}) {
+    super(400, code, message, extensions);
+  }
+}
+
+// The request doesn't match openapi.yaml; errors lists each problem
+export class ValidationError extends BadRequestError {
+  constructor(errors, message = "Invalid request") {
+    super(message, { code: "validation_failed", errors });
+  }
+}
+
+export class UnauthorizedError extends HttpError {
+  constructor(message, { code = "unauthorized", ...extensions } = {}) {
+    super(401, code, message, extensions);
+  }
+}
+
+export class ForbiddenError extends HttpError {
+  constructor(
+    message = "You are not allowed to perform this action",
+    { code = "forbidden", ...extensions } = {}
+  ) {
+    super(403, code, message, extensions);
+  }
+}
+
+export class NotFoundError extends HttpError {
+  constructor(message, { code = "not_found", ...extensions } = {}) {
+    super(404, code, message, extensions);
+  }
+}
+
+// The request is valid but clashes with the current state of the data
+export class ConflictError extends HttpError {
+  constructor(message, { code = "conflict", ...extensions } = {}) {
+    super(409, code, message, extensions);
+  }
+}
+
+// Too many requests in too short a time, see middleware/rateLimit.js.
+// The Retry-After header tells the client how many seconds to wait.
+export class TooManyRequestsError extends HttpError {
+  constructor(message, { code = "rate_limited", ...extensions } = {}) {
+    super(429, code, message, extensions);
+  }
+}
+
+export class InternalServerError extends HttpError {
+  constructor(message = "Server error") {
+    super(500, "internal_error", message);
+  }
+}
+
+// The fields of a unique constraint, Prisma names them in meta.target
+const targetFields = (meta) =>
+  Array.isArray(meta?.target) ? meta.target : [meta?.target].filter(Boolean);
+
+// Unique constraints that stand for a rule of their own get its code and message
+// instead of the generic unique_violation, by model and constrained fields
+const UNIQUE_RULES = {
+  "Review.bookingId": {
+    code: "already_reviewed",
+    message: "This stay has already been reviewed",
+  },
+  "GuestReview.bookingId": {
+    code: "already_reviewed",
+    message: "This stay has already been reviewed",
+  },
+};
+
+// The one place Prisma error codes turn into HTTP errors.
+// See https://www.prisma.io/docs/orm/reference/error-reference
+const PRISMA_ERRORS = {
+  // Value too long for its column
+  P2000: (meta) =>
+    new BadRequestError(
+      `Value too long for ${meta?.column_name ?? "a field"}`,
+      {
+        code: "value_too_long",
+      }
+    ),
+  // Unique constraint failed, e.g. a username that is already taken, or two
+  // requests racing to create the same record
+  P2002: (meta) => {
+    const fields = targetFields(meta);
+    const rule = UNIQUE_RULES[`${meta?.modelName}.${fields.join(",")}`];
+    if (rule) {
+      return new ConflictError(rule.message, { code: rule.code });
+    }
+    const model = meta?.modelName ?? "record";
+    return new ConflictError(
+      `${/^[aeiou]/i.test(model) ? "An" : "A"} ${model} with this ${fields.join(
+        ", "
+      )} already exists`,
+      { code: "unique_violation", fields }
+    );
+  },
+  // Foreign key constraint failed: a reference to a missing record, or a record other records still refer to
+  P2003: (meta) =>
+    new ConflictError(
+      "The request conflicts with related records" +
+        (meta?.field_name ? ` (${meta.field_name})` : ""),
+      { code: "foreign_key_violation" }
+    ),
+  // Required relation violation, e.g. deleting a record others can't exist without
+  P2014: () =>
+    new ConflictError("The change would break a required relation", {
+      code: "relation_violation",
+    }),
+  // Invalid value for a column, e.g. a malformed id
+  P2023: () =>
+    new BadRequestError("Invalid value for a field", { code: "invalid_value" }),
+  // Record to update or delete doesn't exist
+  P2025: (meta) =>
+    new NotFoundError(`${meta?.modelName ?? "Record"} not found`),
+  // Concurrent transactions wrote the same rows, the client can retry
+  P2034: () =>
+    new ConflictError("The request conflicted with another one, please retry", {
+      code: "write_conflict",
+    }),
+};
+
+// Turn any error into an HttpError: HttpErrors as they are, Prisma errors through
+// PRISMA_ERRORS, errors of Express and its body parser by their status, and
+// anything else into a 500
+export const toHttpError = (err) => {
+  if (err instanceof HttpError) return err;
+
+  if (err instanceof Prisma.PrismaClientKnownRequestError) {
+    const toError = PRISMA_ERRORS[err.code];
+    if (toError) return toError(err.meta);
+  }
+
+  // A query Prisma refused to run, e.g. a field of the wrong type
+  if (err instanceof Prisma.PrismaClientValidationError) {
+    return new BadRequestError("Invalid query", { code: "invalid_query" });
+  }
+
+  // Body parser errors, e.g. malformed JSON or a body that is too large
+  if (err.type === "entity.parse.failed") {
+    return new BadRequestError("Malformed JSON body", { code: "invalid_json" });
+  }
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    const code = err.type ? err.type.replace(/\./g, "_") : "bad_request"; // e.g. entity_too_large
+    return new HttpError(err.status, code, err.message);
+  }
+
+  return new InternalServerError();
+};
@@ -0,0 +1,109 @@
+// utils/geo.js
+import { BadRequestError } from "./errors.js";
+
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE_LATITUDE = 111.32;
+export const MAX_RADIUS_KM = 500;
+export const DEFAULT_RADIUS_KM = 10;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Return a message describing what is wrong with a coordinate pair, or null if it is valid
+export const checkCoordinates = (latitude, longitude) => {
+  if (!Number.isFinite(latitude) || latitude < -90 || latitude > 90) {
+    return "Latitude must be a number between -90 and 90";
+  }
+  if (!Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+    return "Longitude must be a number between -180 and 180";
+  }
+  return null;
+};
+
+// Great-circle distance between two points, in kilometres (haversine formula)
+export const distanceKm = (from, to) => {
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) *
+      Math.cos(toRadians(to.latitude)) *
+      Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+// Smallest lat/lng box that contains the circle around a point.
+// Used to let the database narrow down candidates before exact distances are computed.
+export const boundingBoxAround = ({ latitude, longitude }, radiusKm) => {
+  const latDelta = radiusKm / KM_PER_DEGREE_LATITUDE;
+  const minLat = Math.max(latitude - latDelta, -90);
+  const maxLat = Math.min(latitude + latDelta, 90);
+
+  // Near the poles or across the antimeridian every longitude can be in range
+  const cosLat = Math.cos(toRadians(latitude));
+  const lngDelta =
+    cosLat > 0 ? radiusKm / (KM_PER_DEGREE_LATITUDE * cosLat) : 360;
+  if (longitude - lngDelta < -180 || longitude + lngDelta > 180) {
+    return { minLat, maxLat, minLng: -180, maxLng: 180 };
+  }
+
+  return {
+    minLat,
+    maxLat,
+    minLng: longitude - lngDelta,
+    maxLng: longitude + lngDelta,
+  };
+};
+
+// ?near=lat,lng&radiusKm= -> { latitude, longitude, radiusKm }, or null when near isn't set
+export const parseNear = ({ near, radiusKm }) => {
+  if (!near) return null;
+
+  const [latitude, longitude] = String(near).split(",").map(Number);
+  const invalid = checkCoordinates(latitude, longitude);
+  if (invalid) {
+    throw new BadRequestError(`Invalid 'near': ${invalid}`);
+  }
+
+  const radius =
+    radiusKm === undefined || radiusKm === ""
+      ? DEFAULT_RADIUS_KM
+      : Number(radiusKm);
+  if (!Number.isFinite(radius) || radius <= 0 || radius > MAX_RADIUS_KM) {
+    throw new BadRequestError(
+      `'radiusKm' must be a number above 0 and at most ${MAX_RADIUS_KM}`
+    );
+  }
+
+  return { latitude, longitude, radiusKm: radius };
+};
+
+// ?bbox=minLng,minLat,maxLng,maxLat (GeoJSON order) -> box, or null when bbox isn't set.
+// minLng may be larger than maxLng for a box that crosses the antimeridian.
+export const parseBoundingBox = (bbox) => {
+  if (!bbox) return null;
+
+  const values = String(bbox).split(",").map(Number);
+  const [minLng, minLat, maxLng, maxLat] = values;
+  if (
+    values.length !== 4 ||
+    checkCoordinates(minLat, minLng) ||
+    checkCoordinates(maxLat, maxLng) ||
+    minLat > maxLat
+  ) {
+    throw new BadRequestError(
+      "'bbox' must be minLng,minLat,maxLng,maxLat with valid coordinates"
+    );
+  }
+
+  return { minLat, maxLat, minLng, maxLng };
+};
+
+// Prisma where clause matching rows whose latitude/longitude fall inside a box
+export const withinBoundingBox = ({ minLat, maxLat, minLng, maxLng }) => ({
+  latitude: { gte: minLat, lte: maxLat },
+  ...(minLng <= maxLng
+    ? { longitude: { gte: minLng, lte: maxLng } }
+    : {
+        OR: [{ longitude: { gte: minLng } }, { longitude: { lte: maxLng } }],
+      }),
+});
@@ -0,0 +1,70 @@
+// utils/loginLockout.js
+import { getRateLimitStore } from "./rateLimitStore.js";
+
+// Repeated failed logins lock out the username, and the IP they came from. Once an
+// account reached its limit of failures, every further failure locks it out twice as
+// long as the one before: 1 minute, 2, 4, ... up to an hour. Failures are forgotten a
+// day after the first one, or for the username when it logs in successfully.
+const MAX_FAILURES_PER_USERNAME = Number(process.env.LOGIN_MAX_FAILURES) || 5;
+const MAX_FAILURES_PER_IP = Number(process.env.LOGIN_MAX_FAILURES_PER_IP) || 20; // Many usernames tried from one place
+const FIRST_LOCKOUT_MS = 60 * 1000;
+const MAX_LOCKOUT_MS = 60 * 60 * 1000;
+const FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// The counters a login attempt is checked against.
+// accountType keeps users and hosts with the same username apart.
+const lockoutKeys = ({ ip, accountType, username }) => [
+  {
+    key: `login:${accountType}:${username}`,
+    maxFailures: MAX_FAILURES_PER_USERNAME,
+  },
+  { key: `login:ip:${ip}`, maxFailures: MAX_FAILURES_PER_IP },
+];
+
+// Seconds until a login attempt { ip, accountType, username } may be made again,
+// 0 when neither the username nor the IP is locked out
+export const loginLockedFor = async (attempt) => {
+  const store = getRateLimitStore();
+  let lockedUntil = 0;
+
+  for (const { key } of lockoutKeys(attempt)) {
+    const lockout = await store.get(`${key}:lockout`);
+    if (lockout) {
+      lockedUntil = Math.max(lockedUntil, lockout.resetTime.getTime());
+    }
+  }
+
+  return Math.max(Math.ceil((lockedUntil - Date.now()) / 1000), 0);
+};
+
+// Count a failed login attempt, locking out what reached its limit
+export const recordFailedLogin = async (attempt) => {
+  const store = getRateLimitStore();
+
+  for (const { key, maxFailures } of lockoutKeys(attempt)) {
+    const { totalHits } = await store.increment(
+      `${key}:failures`,
+      FAILURE_WINDOW_MS
+    );
+
+    if (totalHits >= maxFailures) {
+      const lockoutMs = Math.min(
+        FIRST_LOCKOUT_MS * 2 ** (totalHits - maxFailures),
+        MAX_LOCKOUT_MS
+      );
+      // A lockout is a counter that expires when the lockout ends
+      await store.reset(`${key}:lockout`);
+      await store.increment(`${key}:lockout`, lockoutMs);
+    }
+  }
+};
+
+// A successful login clears the failures of the username. Those of the IP stay, or
+// one account of their own would let a password guesser start over.
+export const clearFailedLogins = async (attempt) => {
+  const store = getRateLimitStore();
+  const [{ key }] = lockoutKeys(attempt);
+
+  await store.reset(`${key}:failures`);
+  await store.reset(`${key}:lockout`);
+};
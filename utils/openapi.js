@@ -0,0 +1,103 @@
+// utils/openapi.js
+import fs from "fs";
+import path from "path";
+import yaml from "js-yaml";
+import Ajv2020 from "ajv/dist/2020.js";
+import addFormats from "ajv-formats";
+
+// openapi.yaml is the contract of the API: requests are validated against it,
+// it is served at /openapi.json and /docs, and tests check responses against it
+export const SPEC_ID = "openapi.yaml";
+// Resolved from the project root, where npm scripts, nodemon and jest all run:
+// import.meta isn't available once babel-jest compiles this file to CommonJS
+const specPath = path.join(process.cwd(), SPEC_ID);
+export const spec = yaml.load(fs.readFileSync(specPath, "utf8"));
+
+export const METHODS = ["get", "post", "put", "patch", "delete"];
+
+// OpenAPI 3.1 schemas are JSON Schema 2020-12. strict is off because the spec also
+// uses OpenAPI-only keywords (example, readOnly, ...). The spec (or a variant of it)
+// is added under SPEC_ID, so schemas compiled from pointerTo() refs resolve inside it.
+export const createAjv = (options = {}, document = spec) => {
+  const ajv = new Ajv2020({
+    allErrors: true,
+    strict: false,
+    verbose: true,
+    ...options,
+  });
+  addFormats(ajv);
+  ajv.addSchema({ ...document, $id: SPEC_ID });
+  return ajv;
+};
+
+// JSON pointer into the spec, compiled as a $ref so the #/components refs inside still resolve
+export const pointerTo = (...segments) =>
+  `${SPEC_ID}#/${segments
+    .map((segment) => String(segment).replace(/~/g, "~0").replace(/\//g, "~1"))
+    .join("/")}`;
+
+// "/properties/{propertyId}" and "/properties/:id" both become "/properties/{}"
+export const pathKey = (route) =>
+  route.replace(/\{[^}]+\}|:[^/]+/g, "{}").replace(/(.)\/$/, "$1");
+
+// Spec paths as patterns matching concrete request paths
+const pathPatterns = Object.keys(spec.paths).map((route) => ({
+  route,
+  pattern: new RegExp(
+    `^${route
+      .split(/\{[^}]+\}/)
+      .map((part) => part.replace(/[.*+?^$()|[\]\\]/g, "\\$&"))
+      .join("[^/]+")}/?$`
+  ),
+  // "/bookings/{id}/history" wins over a hypothetical "/bookings/{id}/{action}"
+  fixedLength: route.replace(/\{[^}]+\}/g, "").length,
+}));
+
+// The spec path a concrete request path like "/properties/123" belongs to, or undefined
+export const findSpecPath = (requestPath) =>
+  pathPatterns
+    .filter(({ pattern }) => pattern.test(requestPath))
+    .sort((a, b) => b.fixedLength - a.fixedLength)[0]?.route;
+
+// Turn Ajv errors into { location, field, message } entries a client can show next to its fields
+export const describeErrors = (location, errors) => {
+  // A failed anyOf also reports each of its branches; the anyOf itself says enough
+  const anyOfPaths = new Set(
+    errors
+      .filter((err) => err.keyword === "anyOf")
+      .map((err) => err.instancePath)
+  );
+
+  return errors
+    .filter(
+      (err) =>
+        err.keyword === "anyOf" ||
+        !(
+          anyOfPaths.has(err.instancePath) && err.schemaPath.includes("/anyOf/")
+        )
+    )
+    .map((err) => {
+      const field = err.instancePath.split("/").slice(1);
+      if (err.keyword === "required") field.push(err.params.missingProperty);
+      if (err.keyword === "additionalProperties") {
+        field.push(err.params.additionalProperty);
+      }
+      if (err.keyword === "unevaluatedProperties") {
+        field.push(err.params.unevaluatedProperty);
+      }
+
+      const description = err.parentSchema?.description;
+      let message = err.message;
+      if (err.keyword === "anyOf" && description) {
+        message = `must be ${description
+          .charAt(0)
+          .toLowerCase()}${description.slice(1)}`;
+      } else if (err.keyword === "enum") {
+        message = `must be one of ${err.params.allowedValues.join(", ")}`;
+      } else if (err.keyword === "unevaluatedProperties") {
+        message = "is not documented";
+      }
+
+      return { location, field: field.join(".") || null, message };
+    });
+};
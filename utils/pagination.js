@@ -0,0 +1,226 @@
+// utils/pagination.js
+import { BadRequestError } from "./errors.js";
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+// Cursors are opaque to clients: base64url JSON of the row id and the direction to read in
+const encodeCursor = (id, direction) =>
+  Buffer.from(JSON.stringify({ id, direction })).toString("base64url");
+
+const decodeCursor = (cursor) => {
+  try {
+    const { id, direction } = JSON.parse(
+      Buffer.from(cursor, "base64url").toString("utf8")
+    );
+    if (typeof id === "string" && ["next", "prev"].includes(direction)) {
+      return { id, direction };
+    }
+  } catch (err) {
+    // Fall through to the 400 below
+  }
+  throw new BadRequestError("Invalid cursor");
+};
+
+const parseCount = (value, name, { min, max }) => {
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < min || count > max) {
+    throw new BadRequestError(
+      `'${name}' must be a whole number between ${min} and ${max}`
+    );
+  }
+  return count;
+};
+
+// Scalar fields of a select can be sorted on; relations (nested selects) can't
+const sortableFields = (select) =>
+  Object.keys(select).filter((field) => select[field] === true);
+
+// ?sort=-pricePerNight,title -> [{ pricePerNight: "desc" }, { title: "asc" }, { id: "asc" }]
+// The id always comes last so rows with equal values keep a stable order across pages.
+const parseSort = (sort, select) => {
+  const orderBy = [];
+
+  if (sort) {
+    const allowed = sortableFields(select);
+    for (const part of String(sort).split(",")) {
+      const field = part.replace(/^[-+]/, "").trim();
+      if (!allowed.includes(field)) {
+        throw new BadRequestError(
+          `Cannot sort on '${field}' (allowed: ${allowed.join(", ")})`
+        );
+      }
+      if (field !== "id") {
+        orderBy.push({ [field]: part.startsWith("-") ? "desc" : "asc" });
+      }
+    }
+  }
+
+  orderBy.push({ id: "asc" });
+  return orderBy;
+};
+
+// ?fields=id,title -> only those fields of the default select.
+// The id is always returned, it is what cursors point at.
+export const selectFields = (fields, select) => {
+  if (!fields) return select;
+
+  const picked = { id: true };
+  const requested = String(fields).split(",");
+  for (const field of requested.map((f) => f.trim())) {
+    if (!Object.hasOwn(select, field)) {
+      throw new BadRequestError(
+        `Unknown field '${field}' (allowed: ${Object.keys(select).join(", ")})`
+      );
+    }
+    picked[field] = select[field];
+  }
+  return picked;
+};
+
+// ?limit= and ?offset= of a list request; cursor and offset pagination don't mix
+const parsePaging = (query) => {
+  if (query.cursor !== undefined && query.offset !== undefined) {
+    throw new BadRequestError("Use either 'cursor' or 'offset', not both");
+  }
+
+  return {
+    limit:
+      query.limit === undefined
+        ? DEFAULT_PAGE_SIZE
+        : parseCount(query.limit, "limit", { min: 1, max: MAX_PAGE_SIZE }),
+    offset:
+      query.offset === undefined
+        ? undefined
+        : parseCount(query.offset, "offset", {
+            min: 0,
+            max: Number.MAX_SAFE_INTEGER,
+          }),
+  };
+};
+
+// Fetch one page of a list endpoint.
+// Supports ?limit=, offset pagination (?offset=) or cursor pagination (?cursor=),
+// ?sort=field,-field and ?fields=a,b on top of the route's own where and select.
+// Returns the rows plus what setPageHeaders needs to describe the page.
+export const findPage = async (model, query, { where = {}, select }) => {
+  const { limit, offset } = parsePaging(query);
+  const orderBy = parseSort(query.sort, select);
+  const pageSelect = selectFields(query.fields, select);
+  const findArgs = { where, orderBy, select: pageSelect };
+
+  // Offset pagination: skip a number of rows
+  if (offset !== undefined) {
+    const [items, total] = await Promise.all([
+      model.findMany({ ...findArgs, skip: offset, take: limit }),
+      model.count({ where }),
+    ]);
+    return { items, total, limit, offset };
+  }
+
+  // Cursor pagination: read the rows after (or before) the cursor row.
+  // One extra row is fetched to know whether there is another page.
+  const cursor = query.cursor ? decodeCursor(query.cursor) : null;
+  const backwards = cursor?.direction === "prev";
+  const [rows, total] = await Promise.all([
+    model.findMany({
+      ...findArgs,
+      ...(cursor && { cursor: { id: cursor.id }, skip: 1 }),
+      take: backwards ? -(limit + 1) : limit + 1,
+    }),
+    model.count({ where }),
+  ]);
+
+  const hasMore = rows.length > limit;
+  const items = backwards ? rows.slice(hasMore ? 1 : 0) : rows.slice(0, limit);
+  const first = items[0];
+  const last = items[items.length - 1];
+
+  return {
+    items,
+    total,
+    limit,
+    nextCursor:
+      last && (backwards || hasMore) ? encodeCursor(last.id, "next") : null,
+    prevCursor:
+      first && cursor && (!backwards || hasMore)
+        ? encodeCursor(first.id, "prev")
+        : null,
+  };
+};
+
+// Same as findPage, for rows that were already filtered and sorted in memory
+// (e.g. by distance). Rows need an id; cursors point at a row's position.
+export const pageOfRows = (rows, query) => {
+  const { limit, offset } = parsePaging(query);
+  const total = rows.length;
+
+  if (offset !== undefined) {
+    return { items: rows.slice(offset, offset + limit), total, limit, offset };
+  }
+
+  const cursor = query.cursor ? decodeCursor(query.cursor) : null;
+  const index = cursor ? rows.findIndex((row) => row.id === cursor.id) : -1;
+  if (cursor && index === -1) return { items: [], total, limit };
+
+  // The page ends right before the cursor row when reading backwards
+  // and starts right after it otherwise
+  const backwards = cursor?.direction === "prev";
+  const start = backwards ? Math.max(index - limit, 0) : index + 1;
+  const end = backwards ? index : Math.min(start + limit, total);
+  const items = rows.slice(start, end);
+  const first = items[0];
+  const last = items[items.length - 1];
+
+  return {
+    items,
+    total,
+    limit,
+    nextCursor: last && end < total ? encodeCursor(last.id, "next") : null,
+    prevCursor: first && start > 0 ? encodeCursor(first.id, "prev") : null,
+  };
+};
+
+// Describe a page from findPage or pageOfRows in the response headers, so list bodies stay plain arrays:
+//   X-Total-Count: number of rows matching the filters
+//   Link: <...>; rel="next", <...>; rel="prev" (plus first/last for offset pagination)
+export const setPageHeaders = (req, res, page) => {
+  const baseUrl = `${req.protocol}://${req.get("host")}${req.baseUrl}${
+    req.path === "/" ? "" : req.path
+  }`;
+
+  const linkTo = (params) => {
+    const search = new URLSearchParams(req.originalUrl.split("?")[1]);
+    search.delete("cursor");
+    search.delete("offset");
+    for (const [key, value] of Object.entries(params)) {
+      search.set(key, value);
+    }
+    return `${baseUrl}?${search}`;
+  };
+
+  const links = {};
+  if (page.offset !== undefined) {
+    const { offset, limit, total } = page;
+    links.first = linkTo({ offset: 0, limit });
+    if (offset + limit < total) {
+      links.next = linkTo({ offset: offset + limit, limit });
+    }
+    if (offset > 0) {
+      links.prev = linkTo({ offset: Math.max(offset - limit, 0), limit });
+    }
+    links.last = linkTo({
+      offset: Math.max(Math.ceil(total / limit) - 1, 0) * limit,
+      limit,
+    });
+  } else {
+    if (page.nextCursor) links.next = linkTo({ cursor: page.nextCursor });
+    if (page.prevCursor) links.prev = linkTo({ cursor: page.prevCursor });
+  }
+
+  res.set("X-Total-Count", String(page.total));
+  const link = Object.entries(links)
+    .map(([rel, url]) => `<${url}>; rel="${rel}"`)
+    .join(", ");
+  if (link) res.set("Link", link);
+};
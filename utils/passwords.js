@@ -0,0 +1,76 @@
+// utils/passwords.js
+import bcrypt from "bcryptjs";
+
+const SALT_ROUNDS = 10;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Passwords that pass the length/character rules but are still guessed first
+const COMMON_PASSWORDS = new Set([
+  "password",
+  "password1",
+  "password12",
+  "password123",
+  "password1234",
+  "passw0rd",
+  "12345678",
+  "123456789",
+  "1234567890",
+  "qwerty123",
+  "qwertyuiop",
+  "1q2w3e4r",
+  "abc12345",
+  "abcd1234",
+  "letmein1",
+  "welcome1",
+  "welcome123",
+  "iloveyou1",
+  "admin123",
+  "changeme1",
+]);
+
+// Compared against when the account doesn't exist, so a login for an unknown
+// username takes as long as one with a wrong password
+const DUMMY_HASH = bcrypt.hashSync("not-a-real-password", SALT_ROUNDS);
+
+// bcrypt hashes look like $2a$10$<53 chars>
+export const isPasswordHash = (value) =>
+  typeof value === "string" && /^\$2[aby]\$\d{2}\$.{53}$/.test(value);
+
+export const hashPassword = (password) => bcrypt.hash(password, SALT_ROUNDS);
+
+// Constant-time check of a password against a stored hash.
+// Pass a null hash for unknown accounts; the result is then always false.
+export const verifyPassword = async (password, hash) => {
+  if (!isPasswordHash(hash)) {
+    await bcrypt.compare(password, DUMMY_HASH);
+    return false;
+  }
+
+  return bcrypt.compare(password, hash);
+};
+
+// Return a message describing why the password is too weak, or null if it is acceptable
+export const checkPasswordStrength = (password, { username, email } = {}) => {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`;
+  }
+
+  if (!/[A-Za-z]/.test(password) || !/[0-9]/.test(password)) {
+    return "Password must contain at least one letter and one number";
+  }
+
+  const lowered = password.toLowerCase();
+  if (COMMON_PASSWORDS.has(lowered)) {
+    return "Password is too common, please choose a stronger one";
+  }
+
+  // Ignore very short names, they would rule out too many passwords
+  const personal = [username, email?.split("@")[0]].filter(
+    (value) => value && value.length >= 3
+  );
+  if (personal.some((value) => lowered.includes(value.toLowerCase()))) {
+    return "Password must not contain your username or email";
+  }
+
+  return null;
+};
@@ -0,0 +1,26 @@
+// utils/pricing.js
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Number of nights between checkin and checkout, counted in calendar days (UTC).
+// A stay from the 10th at 18:00 to the 15th at 10:00 is 5 nights; same-day stays count as one.
+export const countNights = (checkinDate, checkoutDate) => {
+  const checkinDay = Date.UTC(
+    checkinDate.getUTCFullYear(),
+    checkinDate.getUTCMonth(),
+    checkinDate.getUTCDate()
+  );
+  const checkoutDay = Date.UTC(
+    checkoutDate.getUTCFullYear(),
+    checkoutDate.getUTCMonth(),
+    checkoutDate.getUTCDate()
+  );
+
+  return Math.max(1, Math.round((checkoutDay - checkinDay) / DAY_MS));
+};
+
+// Total price of a stay, rounded to cents. Always computed on the server from
+// the property's nightly price; a client-supplied totalPrice is never trusted.
+export const calculateTotalPrice = (pricePerNight, checkinDate, checkoutDate) =>
+  Math.round(pricePerNight * countNights(checkinDate, checkoutDate) * 100) /
+  100;
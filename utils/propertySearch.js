@@ -0,0 +1,181 @@
+// utils/propertySearch.js
+import { BadRequestError } from "./errors.js";
+import { parseDate, RELEASED_BOOKING_STATUSES } from "./availability.js";
+import {
+  boundingBoxAround,
+  distanceKm,
+  parseBoundingBox,
+  parseNear,
+  withinBoundingBox,
+} from "./geo.js";
+import { pageOfRows, selectFields } from "./pagination.js";
+import { notDeleted } from "./softDelete.js";
+
+// Parse a numeric query parameter, returning undefined when it isn't set
+const parseNumber = (query, name, { integer = false, min = 0 } = {}) => {
+  const value = query[name];
+  if (value === undefined || value === "") return undefined;
+
+  const number = Number(value);
+  if (!Number.isFinite(number) || (integer && !Number.isInteger(number))) {
+    const kind = integer ? "a whole number" : "a number";
+    throw new BadRequestError(`'${name}' must be ${kind}`);
+  }
+  if (number < min) {
+    throw new BadRequestError(`'${name}' must be at least ${min}`);
+  }
+  return number;
+};
+
+// Comma-separated list parameter, e.g. ?amenities=Wifi,Pool
+const parseList = (value) =>
+  value
+    ? String(value)
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean)
+    : [];
+
+// Build the Prisma where clause of GET /properties from its query parameters.
+// Every filter that is set narrows the result, so they all combine in one query.
+// Throws an error with status 400 for invalid values.
+export const buildPropertyFilters = (query) => {
+  const conditions = [notDeleted];
+
+  // Filter by location (case-insensitive search)
+  if (query.location) {
+    conditions.push({
+      location: { contains: query.location, mode: "insensitive" },
+    });
+  }
+
+  // Exact price, kept for existing clients; minPrice/maxPrice give a range
+  const pricePerNight = parseNumber(query, "pricePerNight");
+  const minPrice = parseNumber(query, "minPrice");
+  const maxPrice = parseNumber(query, "maxPrice");
+  if (minPrice !== undefined && maxPrice !== undefined && minPrice > maxPrice) {
+    throw new BadRequestError("'minPrice' can't be higher than 'maxPrice'");
+  }
+  if (pricePerNight !== undefined) {
+    conditions.push({ pricePerNight: { equals: pricePerNight } });
+  }
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    conditions.push({ pricePerNight: { gte: minPrice, lte: maxPrice } });
+  }
+
+  // Room for the whole party
+  const guests = parseNumber(query, "guests", { integer: true, min: 1 });
+  if (guests !== undefined) {
+    conditions.push({ maxGuestCount: { gte: guests } });
+  }
+
+  const minBedrooms = parseNumber(query, "minBedrooms", { integer: true });
+  if (minBedrooms !== undefined) {
+    conditions.push({ bedroomCount: { gte: minBedrooms } });
+  }
+
+  const minBathrooms = parseNumber(query, "minBathrooms", { integer: true });
+  if (minBathrooms !== undefined) {
+    conditions.push({ bathroomCount: { gte: minBathrooms } });
+  }
+
+  const minRating = parseNumber(query, "minRating");
+  if (minRating !== undefined) {
+    conditions.push({ rating: { gte: minRating } });
+  }
+
+  if (query.hostId) {
+    conditions.push({ hostId: query.hostId });
+  }
+
+  // The property must have ALL of the listed amenities, not just one of them
+  for (const name of parseList(query.amenities)) {
+    conditions.push({
+      amenities: { some: { name: { equals: name, mode: "insensitive" } } },
+    });
+  }
+
+  // Free for the whole stay: no active booking overlaps [checkin, checkout)
+  if (query.checkin || query.checkout) {
+    const checkin = parseDate(query.checkin);
+    const checkout = parseDate(query.checkout);
+    if (!checkin || !checkout) {
+      throw new BadRequestError(
+        "'checkin' and 'checkout' must both be valid dates"
+      );
+    }
+    if (checkout <= checkin) {
+      throw new BadRequestError("'checkout' must be after 'checkin'");
+    }
+    conditions.push({
+      bookings: {
+        none: {
+          bookingStatus: { notIn: RELEASED_BOOKING_STATUSES },
+          checkinDate: { lt: checkout },
+          checkoutDate: { gt: checkin },
+        },
+      },
+    });
+  }
+
+  // Only properties on the map inside the box
+  const bbox = parseBoundingBox(query.bbox);
+  if (bbox) {
+    conditions.push(withinBoundingBox(bbox));
+  }
+
+  // Radius search: the database narrows down to the box around the circle,
+  // findNearbyPage then keeps the ones within the radius
+  const near = parseNear(query);
+  if (near) {
+    conditions.push(withinBoundingBox(boundingBoxAround(near, near.radiusKm)));
+  }
+
+  return { AND: conditions };
+};
+
+// One page of the properties within near.radiusKm of near, closest first.
+// Each property gets a distanceKm field. Distances are computed here rather than
+// in the database, on the candidates that buildPropertyFilters narrowed down.
+export const findNearbyPage = async (
+  prisma,
+  query,
+  { where, select, near }
+) => {
+  if (query.sort) {
+    throw new BadRequestError(
+      "Results of a 'near' search are sorted by distance"
+    );
+  }
+
+  const candidates = await prisma.property.findMany({
+    where,
+    select: { id: true, latitude: true, longitude: true },
+  });
+
+  const nearby = candidates
+    .map(({ id, latitude, longitude }) => ({
+      id,
+      distanceKm: distanceKm(near, { latitude, longitude }),
+    }))
+    .filter((candidate) => candidate.distanceKm <= near.radiusKm)
+    .sort((a, b) => a.distanceKm - b.distanceKm || a.id.localeCompare(b.id));
+
+  const page = pageOfRows(nearby, query);
+
+  const properties = await prisma.property.findMany({
+    where: { id: { in: page.items.map((item) => item.id) } },
+    select: selectFields(query.fields, select),
+  });
+  const byId = new Map(properties.map((property) => [property.id, property]));
+
+  return {
+    ...page,
+    items: page.items
+      .filter(({ id }) => byId.has(id)) // Deleted in the meantime
+      .map(({ id, distanceKm }) => ({
+        ...byId.get(id),
+        distanceKm: Math.round(distanceKm * 100) / 100,
+      })),
+  };
+};
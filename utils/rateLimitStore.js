@@ -0,0 +1,74 @@
+// utils/rateLimitStore.js
+
+// Counters for rate limits and login lockouts. A store keeps a hit count per key
+// that expires windowMs after its first hit:
+//   increment(key, windowMs) -> { totalHits, resetTime }  count a hit
+//   decrement(key)                                      take one back
+//   get(key) -> { totalHits, resetTime } or undefined   read without counting
+//   reset(key)                                          forget the key
+// Methods may return promises, so a store shared by several app instances
+// (e.g. on Redis) can be plugged in with setRateLimitStore().
+
+// Expired counters are dropped this often, on the next call
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// The default store, in the memory of this process: counters start over on restart
+// and aren't shared with other instances of the app
+export class MemoryStore {
+  constructor() {
+    this.counters = new Map();
+    this.nextSweep = Date.now() + SWEEP_INTERVAL_MS;
+  }
+
+  // The live counter of a key, dropping it once expired
+  live(key) {
+    const now = Date.now();
+    if (now >= this.nextSweep) {
+      for (const [k, counter] of this.counters) {
+        if (counter.resetTime.getTime() <= now) this.counters.delete(k);
+      }
+      this.nextSweep = now + SWEEP_INTERVAL_MS;
+    }
+
+    const counter = this.counters.get(key);
+    if (counter && counter.resetTime.getTime() <= now) {
+      this.counters.delete(key);
+      return undefined;
+    }
+    return counter;
+  }
+
+  increment(key, windowMs) {
+    const counter = this.live(key) ?? {
+      totalHits: 0,
+      resetTime: new Date(Date.now() + windowMs),
+    };
+    counter.totalHits += 1;
+    this.counters.set(key, counter);
+    return { ...counter };
+  }
+
+  decrement(key) {
+    const counter = this.live(key);
+    if (counter && counter.totalHits > 0) counter.totalHits -= 1;
+  }
+
+  get(key) {
+    const counter = this.live(key);
+    return counter && { ...counter };
+  }
+
+  reset(key) {
+    this.counters.delete(key);
+  }
+}
+
+let store = new MemoryStore();
+
+// The store in use, read on every call so a replacement takes effect right away
+export const getRateLimitStore = () => store;
+
+// Replace the store, e.g. with one on Redis, or with a fresh MemoryStore between tests
+export const setRateLimitStore = (newStore) => {
+  store = newStore;
+};
@@ -0,0 +1,71 @@
+// utils/ratings.js
+import { lockProperty } from "./availability.js";
+
+export const MIN_RATING = 1;
+export const MAX_RATING = 5;
+
+// Star bucket of a rating in the histogram, e.g. 4.5 counts as 5 stars
+const starsOf = (rating) =>
+  Math.min(MAX_RATING, Math.max(MIN_RATING, Math.round(rating)));
+
+// Only published reviews count; hidden ones would give away what the other side wrote
+const released = { releasedAt: { not: null } };
+
+// Reviews of deleted users are hidden with them (see ofLiveStay in utils/softDelete.js),
+// so they don't count either
+const byLiveAuthor = { user: { deletedAt: null } };
+
+// Recompute the rating, review count and 1-5 star histogram of a property from its published
+// reviews by users who aren't deleted. Must be called inside a transaction, after the reviews were changed. The property row
+// is locked first so concurrent review changes can't overwrite each other's totals.
+export const refreshPropertyRating = async (tx, propertyId) => {
+  if (!(await lockProperty(tx, propertyId))) return null;
+
+  const groups = await tx.review.groupBy({
+    by: ["rating"],
+    where: { propertyId, ...released, ...byLiveAuthor },
+    _count: { _all: true },
+  });
+
+  const ratingHistogram = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let reviewCount = 0;
+  let total = 0;
+  for (const { rating, _count } of groups) {
+    ratingHistogram[starsOf(rating)] += _count._all;
+    reviewCount += _count._all;
+    total += rating * _count._all;
+  }
+
+  return tx.property.update({
+    where: { id: propertyId },
+    data: {
+      // Average rounded to 2 decimals, 0 until the first review
+      rating: reviewCount ? Math.round((total / reviewCount) * 100) / 100 : 0,
+      reviewCount,
+      ratingHistogram,
+    },
+  });
+};
+
+// Recompute a guest's reputation (average rating from hosts) and guest review count from
+// the published guest reviews. Same rules as refreshPropertyRating, on the user row.
+export const refreshGuestReputation = async (tx, userId) => {
+  const rows = await tx.$queryRaw`
+    SELECT "id" FROM "User" WHERE "id" = ${userId} FOR UPDATE
+  `;
+  if (!rows.length) return null;
+
+  const { _avg, _count } = await tx.guestReview.aggregate({
+    where: { userId, ...released },
+    _avg: { rating: true },
+    _count: { _all: true },
+  });
+
+  return tx.user.update({
+    where: { id: userId },
+    data: {
+      reputation: _count._all ? Math.round(_avg.rating * 100) / 100 : 0,
+      guestReviewCount: _count._all,
+    },
+  });
+};
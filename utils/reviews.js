@@ -0,0 +1,178 @@
+// utils/reviews.js
+import { ConflictError } from "./errors.js";
+import { refreshGuestReputation, refreshPropertyRating } from "./ratings.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long after checkout a stay can still be reviewed
+export const REVIEW_WINDOW_DAYS = Number(process.env.REVIEW_WINDOW_DAYS) || 14;
+
+// Fields returned for a review
+export const reviewSelect = {
+  id: true,
+  rating: true,
+  comment: true,
+  userId: true,
+  propertyId: true,
+  bookingId: true,
+  hostReply: true,
+  hostRepliedAt: true,
+  createdAt: true,
+  releasedAt: true,
+};
+
+// Fields returned for a host's review of a guest
+export const guestReviewSelect = {
+  id: true,
+  rating: true,
+  comment: true,
+  userId: true,
+  hostId: true,
+  bookingId: true,
+  createdAt: true,
+  releasedAt: true,
+};
+
+// Reviews are double-blind: only published ones are shown to anyone
+export const releasedReviews = { releasedAt: { not: null } };
+
+// Stays that actually happened; the guest never arrived for the other statuses
+export const REVIEWABLE_BOOKING_STATUSES = ["checked_in", "completed"];
+
+// Lock a booking and load it with both of its reviews, so the guest's and the host's
+// review of the same stay are written one after the other and the second one sees the first.
+// Must be called inside a transaction. Returns null when the booking doesn't exist.
+export const findBookingForReview = async (tx, bookingId) => {
+  await tx.$queryRaw`SELECT "id" FROM "Booking" WHERE "id" = ${bookingId} FOR UPDATE`;
+
+  return tx.booking.findUnique({
+    where: { id: bookingId },
+    include: {
+      property: { select: { hostId: true } },
+      review: { select: { id: true } },
+      guestReview: { select: { id: true } },
+    },
+  });
+};
+
+// Throws a 409 once the review window of the stay has closed
+const assertReviewWindowOpen = (booking, now) => {
+  const windowEnd = new Date(
+    booking.checkoutDate.getTime() + REVIEW_WINDOW_DAYS * DAY_MS
+  );
+  if (now > windowEnd) {
+    throw new ConflictError(
+      `Reviews must be written within ${REVIEW_WINDOW_DAYS} days after checkout`,
+      { code: "review_window_closed" }
+    );
+  }
+};
+
+// Make sure one side can review a stay at this moment: it took place, the guest
+// has checked out, the review window is still open and that side hasn't reviewed it yet.
+// Pass whether that side already reviewed it (e.g. booking.reviewedAt); throws 409 otherwise.
+export const assertBookingReviewable = (
+  booking,
+  alreadyReviewed,
+  now = new Date()
+) => {
+  if (!REVIEWABLE_BOOKING_STATUSES.includes(booking.bookingStatus)) {
+    throw new ConflictError(
+      `A booking that is ${booking.bookingStatus} can't be reviewed`,
+      { code: "not_reviewable" }
+    );
+  }
+
+  if (now < booking.checkoutDate) {
+    throw new ConflictError("A stay can only be reviewed after checkout", {
+      code: "review_too_early",
+    });
+  }
+
+  assertReviewWindowOpen(booking, now);
+
+  if (alreadyReviewed) {
+    throw new ConflictError("This stay has already been reviewed", {
+      code: "already_reviewed",
+    });
+  }
+};
+
+// Make sure a review can still be changed: it is hidden and its review window is open.
+// Once both sides are published the author has read the other review, so changing
+// theirs afterwards would no longer be blind. Throws 409 otherwise.
+export const assertReviewEditable = (review, booking, now = new Date()) => {
+  if (review.releasedAt) {
+    throw new ConflictError("A published review can no longer be changed", {
+      code: "review_published",
+    });
+  }
+
+  if (booking) assertReviewWindowOpen(booking, now); // Reviews from before verified reviews have no stay
+};
+
+// Publish hidden reviews and guest reviews, then update the ratings they now count towards
+const publish = async (tx, { reviewWhere, guestReviewWhere }, now) => {
+  const [reviews, guestReviews] = await Promise.all([
+    tx.review.findMany({
+      where: { ...reviewWhere, releasedAt: null },
+      select: { id: true, propertyId: true },
+    }),
+    tx.guestReview.findMany({
+      where: { ...guestReviewWhere, releasedAt: null },
+      select: { id: true, userId: true },
+    }),
+  ]);
+
+  await tx.review.updateMany({
+    where: { id: { in: reviews.map((review) => review.id) } },
+    data: { releasedAt: now },
+  });
+  await tx.guestReview.updateMany({
+    where: { id: { in: guestReviews.map((review) => review.id) } },
+    data: { releasedAt: now },
+  });
+
+  for (const propertyId of new Set(reviews.map((r) => r.propertyId))) {
+    await refreshPropertyRating(tx, propertyId);
+  }
+  for (const userId of new Set(guestReviews.map((r) => r.userId))) {
+    await refreshGuestReputation(tx, userId);
+  }
+
+  return { reviews: reviews.length, guestReviews: guestReviews.length };
+};
+
+// Publish both reviews of a stay together once the guest and the host each wrote theirs.
+// Call after creating either of them, in the same transaction as findBookingForReview.
+export const releaseStayReviews = async (tx, bookingId, now = new Date()) => {
+  const [review, guestReview] = await Promise.all([
+    tx.review.findUnique({ where: { bookingId }, select: { id: true } }),
+    tx.guestReview.findUnique({ where: { bookingId }, select: { id: true } }),
+  ]);
+  if (!review || !guestReview) return false;
+
+  await publish(
+    tx,
+    { reviewWhere: { bookingId }, guestReviewWhere: { bookingId } },
+    now
+  );
+  return true;
+};
+
+// Publish the reviews whose other side never came: once the review window of the stay
+// closed, they are shown on their own. Run periodically (npm run release-reviews).
+// Reviews whose booking was deleted go by their own creation date instead.
+export const releaseDueReviews = async (prisma, now = new Date()) => {
+  const cutoff = new Date(now.getTime() - REVIEW_WINDOW_DAYS * DAY_MS);
+  const due = {
+    OR: [
+      { booking: { checkoutDate: { lt: cutoff } } },
+      { bookingId: null, createdAt: { lt: cutoff } },
+    ],
+  };
+
+  return prisma.$transaction((tx) =>
+    publish(tx, { reviewWhere: due, guestReviewWhere: due }, now)
+  );
+};
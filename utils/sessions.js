@@ -0,0 +1,142 @@
+// utils/sessions.js
+import crypto from "crypto";
+import { UnauthorizedError } from "./errors.js";
+import { ROLES, signAccessToken } from "./tokens.js";
+import { notDeleted } from "./softDelete.js";
+
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Only a hash of the refresh token is stored, so a leaked table can't be replayed
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const newRefreshToken = () => crypto.randomBytes(48).toString("base64url");
+
+const refreshExpiry = () =>
+  new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Tokens returned to the client after login or refresh
+const issueTokens = (session, account, refreshToken) => ({
+  token: signAccessToken({
+    id: account.id,
+    username: account.username,
+    role: session.role,
+    sid: session.id,
+  }),
+  refreshToken,
+  refreshTokenExpiresAt: session.expiresAt,
+});
+
+// Open a new session for an account that just logged in
+export const createSession = async (prisma, account, role) => {
+  const refreshToken = newRefreshToken();
+
+  const session = await prisma.session.create({
+    data: {
+      accountId: account.id,
+      role,
+      refreshTokenHash: hashToken(refreshToken),
+      expiresAt: refreshExpiry(),
+    },
+  });
+
+  return issueTokens(session, account, refreshToken);
+};
+
+// Exchange a refresh token for a new access token and a new refresh token.
+// The old refresh token stops working; presenting it again means it was
+// stolen or replayed, so the whole session is revoked.
+export const rotateSession = async (prisma, refreshToken) => {
+  const tokenHash = hashToken(refreshToken);
+  const now = new Date();
+
+  const reused = await prisma.session.findUnique({
+    where: { previousTokenHash: tokenHash },
+  });
+  if (reused) {
+    await revokeSession(prisma, reused.id);
+    throw new UnauthorizedError("Refresh token was already used", {
+      code: "refresh_token_reused",
+    });
+  }
+
+  const session = await prisma.session.findUnique({
+    where: { refreshTokenHash: tokenHash },
+  });
+  if (!session || session.revokedAt || session.expiresAt <= now) {
+    throw new UnauthorizedError("Invalid or expired refresh token", {
+      code: "invalid_refresh_token",
+    });
+  }
+
+  // Re-read the account so a changed username or role shows up in the new token
+  const accountWhere = { id: session.accountId, ...notDeleted };
+  const account =
+    session.role === ROLES.HOST
+      ? await prisma.host.findFirst({ where: accountWhere })
+      : await prisma.user.findFirst({ where: accountWhere });
+  if (!account) {
+    await revokeSession(prisma, session.id);
+    throw new UnauthorizedError("Account no longer exists", {
+      code: "invalid_refresh_token",
+    });
+  }
+
+  const role = session.role === ROLES.HOST ? ROLES.HOST : account.role;
+  const nextToken = newRefreshToken();
+
+  // Only rotate if nobody else rotated this token in the meantime
+  const { count } = await prisma.session.updateMany({
+    where: { id: session.id, refreshTokenHash: tokenHash, revokedAt: null },
+    data: {
+      role,
+      refreshTokenHash: hashToken(nextToken),
+      previousTokenHash: tokenHash,
+      expiresAt: refreshExpiry(),
+      lastUsedAt: now,
+    },
+  });
+  if (count === 0) {
+    throw new UnauthorizedError("Invalid or expired refresh token", {
+      code: "invalid_refresh_token",
+    });
+  }
+
+  const rotated = await prisma.session.findUnique({
+    where: { id: session.id },
+  });
+  return issueTokens(rotated, account, nextToken);
+};
+
+// Revoke one session: its refresh token and every access token issued for it stop working
+export const revokeSession = (prisma, sessionId) =>
+  prisma.session.updateMany({
+    where: { id: sessionId, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+
+// Revoke every session of an account ("log out everywhere")
+export const revokeAllSessions = (prisma, accountId) =>
+  prisma.session.updateMany({
+    where: { accountId, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+
+// Revoke every session of an account but the one making the request, e.g. after a
+// password change. keepSessionId is only kept when it belongs to the account.
+export const revokeOtherSessions = (prisma, accountId, keepSessionId) =>
+  prisma.session.updateMany({
+    where: { accountId, revokedAt: null, id: { not: keepSessionId } },
+    data: { revokedAt: new Date() },
+  });
+
+// Whether access tokens of this session are still honoured
+export const isSessionActive = async (prisma, sessionId) => {
+  const session = await prisma.session.findUnique({
+    where: { id: sessionId },
+    select: { revokedAt: true, expiresAt: true },
+  });
+  return Boolean(
+    session && !session.revokedAt && session.expiresAt > new Date()
+  );
+};
@@ -0,0 +1,143 @@
+// utils/softDelete.js
+import { recordAudit } from "./audit.js";
+import { refreshGuestReputation, refreshPropertyRating } from "./ratings.js";
+import { ConflictError, NotFoundError } from "./errors.js";
+
+// Users, hosts and properties aren't removed by DELETE but marked with a deletedAt
+// timestamp, which hides them from the API. Admins can restore them until
+// purgeDeleted removes them for good, DELETED_RETENTION_DAYS after the delete.
+export const DELETED_RETENTION_DAYS =
+  Number(process.env.DELETED_RETENTION_DAYS) || 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Where clause of the records that aren't deleted
+export const notDeleted = { deletedAt: null };
+
+// Where clause of the bookings and reviews whose property and guest aren't deleted,
+// they are hidden with them
+export const ofLiveStay = { property: notDeleted, user: notDeleted };
+
+// Mark the record with the given id of a model (e.g. "user") as deleted and log it.
+// Must be called inside a transaction. Records deleted together share the timestamp
+// deletedAt. Throws a 404 when there is no such record or it is deleted already.
+export const softDelete = async (
+  tx,
+  req,
+  { model, entity, id, deletedAt = new Date() }
+) => {
+  const before = await tx[model].findFirst({ where: { id, ...notDeleted } });
+  if (!before) {
+    throw new NotFoundError(`${entity} not found`);
+  }
+
+  const deleted = await tx[model].update({
+    where: { id },
+    data: { deletedAt },
+  });
+  await recordAudit(tx, req, {
+    entity,
+    before,
+    after: deleted,
+    action: "delete",
+  });
+  return deleted;
+};
+
+// Bring a soft deleted record back and log it. Must be called inside a transaction.
+// Throws a 404 when there is no such record (any more) and a 409 when it isn't deleted.
+export const restoreDeleted = async (tx, req, { model, entity, id }) => {
+  const before = await tx[model].findUnique({ where: { id } });
+  if (!before) {
+    throw new NotFoundError(`${entity} not found`);
+  }
+  if (!before.deletedAt) {
+    throw new ConflictError(`${entity} is not deleted`, {
+      code: "not_deleted",
+    });
+  }
+
+  const restored = await tx[model].update({
+    where: { id },
+    data: { deletedAt: null },
+  });
+  await recordAudit(tx, req, {
+    entity,
+    before,
+    after: restored,
+    action: "restore",
+  });
+  return restored;
+};
+
+// Recompute the ratings of the properties a user reviewed, after the user was deleted,
+// restored or purged. Must be called inside a transaction.
+export const refreshRatingsReviewedBy = async (tx, userId) => {
+  const reviews = await tx.review.findMany({
+    where: { userId },
+    select: { propertyId: true },
+  });
+  for (const propertyId of new Set(reviews.map((r) => r.propertyId))) {
+    await refreshPropertyRating(tx, propertyId);
+  }
+};
+
+// Remove a property with its bookings and reviews
+const purgeProperty = async (tx, id) => {
+  await tx.review.deleteMany({ where: { propertyId: id } });
+  await tx.booking.deleteMany({ where: { propertyId: id } }); // Guest reviews of the stays stay, without their booking
+  await tx.property.delete({ where: { id } });
+};
+
+// Remove a user with their bookings, their reviews and the guest reviews about them
+const purgeUser = async (tx, id) => {
+  await refreshRatingsReviewedBy(tx, id); // Already without their reviews, the user is deleted
+  await tx.review.deleteMany({ where: { userId: id } });
+
+  await tx.guestReview.deleteMany({ where: { userId: id } });
+  await tx.booking.deleteMany({ where: { userId: id } });
+  await tx.session.deleteMany({ where: { accountId: id } });
+  await tx.user.delete({ where: { id } });
+};
+
+// Remove a host, whose listings are purged already, with the guest reviews they wrote
+const purgeHost = async (tx, id) => {
+  const guestReviews = await tx.guestReview.findMany({
+    where: { hostId: id },
+    select: { userId: true },
+  });
+  await tx.guestReview.deleteMany({ where: { hostId: id } });
+  for (const userId of new Set(guestReviews.map((r) => r.userId))) {
+    await refreshGuestReputation(tx, userId);
+  }
+
+  await tx.session.deleteMany({ where: { accountId: id } });
+  await tx.host.delete({ where: { id } });
+};
+
+// Remove the records deleted more than DELETED_RETENTION_DAYS ago for good, each in a
+// transaction of its own. Listings go before their hosts, a host that still has any is
+// left alone. Returns how many of each were removed.
+export const purgeDeleted = async (prisma, now = new Date()) => {
+  const expired = {
+    deletedAt: {
+      lt: new Date(now.getTime() - DELETED_RETENTION_DAYS * DAY_MS),
+    },
+  };
+  const purge = async (model, where, purgeOne) => {
+    const rows = await prisma[model].findMany({ where, select: { id: true } });
+    for (const { id } of rows) {
+      await prisma.$transaction((tx) => purgeOne(tx, id));
+    }
+    return rows.length;
+  };
+
+  const properties = await purge("property", expired, purgeProperty);
+  const users = await purge("user", expired, purgeUser);
+  const hosts = await purge(
+    "host",
+    { ...expired, listings: { none: {} } },
+    purgeHost
+  );
+  return { properties, users, hosts };
+};
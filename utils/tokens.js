@@ -0,0 +1,19 @@
+// utils/tokens.js
+import jwt from "jsonwebtoken";
+
+export const ROLES = {
+  GUEST: "guest",
+  HOST: "host",
+  ADMIN: "admin",
+};
+
+// Access tokens are short-lived; clients renew them with their refresh token
+export const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+
+// Sign the access token handed out at login and refresh.
+// The payload identifies the account, its role and the session (sid) it belongs to,
+// so routes can authorize on the role and verifyToken can honour revoked sessions.
+export const signAccessToken = ({ id, username, role, sid }) =>
+  jwt.sign({ id, username, role, sid }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
@@ -0,0 +1,87 @@
+// utils/wishlists.js
+import crypto from "crypto";
+import { notDeleted } from "./softDelete.js";
+import { ROLES } from "./tokens.js";
+
+// The token of a wishlist's read-only share link. Unguessable, as it is all a reader needs.
+export const newShareToken = () => crypto.randomBytes(24).toString("base64url");
+
+// Whether token is the share token of the wishlist. Compared in constant time, so the
+// response time doesn't give away how much of a guess was right.
+export const matchesShareToken = (wishlist, token) => {
+  if (typeof token !== "string") return false;
+
+  const given = Buffer.from(token);
+  const expected = Buffer.from(wishlist.shareToken);
+  return (
+    given.length === expected.length && crypto.timingSafeEqual(given, expected)
+  );
+};
+
+// Fields returned for a wishlist, with its saved properties in the order they were saved
+export const wishlistSelect = {
+  id: true,
+  name: true,
+  userId: true,
+  shareToken: true,
+  createdAt: true,
+  updatedAt: true,
+  items: {
+    where: { property: notDeleted }, // Deleted listings drop out of every wishlist
+    select: {
+      createdAt: true,
+      property: {
+        select: {
+          id: true,
+          title: true,
+          location: true,
+          pricePerNight: true,
+          rating: true,
+        },
+      },
+    },
+    orderBy: { createdAt: "asc" },
+  },
+};
+
+// A wishlist as the API shows it: its properties, each with when it was saved.
+// Without items (e.g. ?fields=name) it stays as it is.
+export const toWishlist = ({ items, ...wishlist }) =>
+  items
+    ? {
+        ...wishlist,
+        properties: items.map(({ createdAt, property }) => ({
+          ...property,
+          savedAt: createdAt,
+        })),
+      }
+    : wishlist;
+
+// A wishlist as someone with its share link sees it: without the token to pass on
+// and without whose it is
+export const toSharedWishlist = (wishlist) => {
+  const shared = toWishlist(wishlist);
+  delete shared.shareToken;
+  delete shared.userId;
+  return shared;
+};
+
+// Mark each of a list of properties with whether the account saved it in any of its
+// wishlists. Hosts have no wishlists, their properties and anonymous ones stay unmarked.
+export const markSaved = async (prisma, user, properties) => {
+  if (!user || user.role === ROLES.HOST) return properties;
+
+  const saved = await prisma.wishlistItem.findMany({
+    where: {
+      wishlist: { userId: user.id },
+      propertyId: { in: properties.map((property) => property.id) },
+    },
+    select: { propertyId: true },
+  });
+  const savedIds = new Set(saved.map((item) => item.propertyId));
+
+  return properties.map((property) => ({
+    ...property,
+    saved: savedIds.has(property.id),
+  }));
+};